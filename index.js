@@ -11,9 +11,10 @@ const AdmZip = require("adm-zip");
 const fetch = require("node-fetch");
 const bodyParser = require("body-parser");
 const readline = require("readline");
-const tmp = require("tmp");
 const { createServer } = require("http");
 const WebSocket = require("ws");
+const chokidar = require("chokidar");
+const crypto = require("crypto");
 
 // Load environment variables from .env file
 dotenv.config();
@@ -50,6 +51,7 @@ const configSchema = {
     healthCheckInterval: { type: "number", default: 30000 }, // 30 seconds
     wsReconnectAttempts: { type: "number", default: 5 },
     requestTimeout: { type: "number", default: 30000 },
+    cacheMaxEntries: { type: "number", min: 1, default: 10 },
 };
 
 // Parse command line arguments
@@ -83,13 +85,37 @@ const argv = yargs(hideBin(process.argv))
         type: "string",
         default: "INFO",
     })
+    .option("cache-size", {
+        description:
+            "Maximum number of parsed documents kept in memory (default: CACHE_MAX_ENTRIES or 10)",
+        type: "number",
+    })
+    .command(
+        "export-tokens <file>",
+        "Export design tokens from a Sketch file and exit",
+        (command) =>
+            command
+                .positional("file", {
+                    description: "Path to the Sketch file",
+                    type: "string",
+                })
+                .option("format", {
+                    description: "Token format (dtcg, css, scss, tailwind)",
+                    type: "string",
+                    default: "dtcg",
+                })
+                .option("output", {
+                    description:
+                        "File to write the tokens to (default: stdout)",
+                    type: "string",
+                }),
+    )
     .help()
     .version()
     .alias("help", "h").argv;
 
 // Configuration variables with validation
 function validateConfig(config) {
-    console.log("config---", config);
     const errors = [];
 
     if (config.port < 1000 || config.port > 65535) {
@@ -108,6 +134,11 @@ function validateConfig(config) {
         errors.push(`Invalid log level: ${config.logLevel}`);
     }
 
+    // Also catches NaN from a non-numeric flag or environment variable
+    if (!(config.cacheMaxEntries >= 1)) {
+        errors.push("Cache size must be at least 1 document");
+    }
+
     if (errors.length > 0) {
         console.log(errors.join(", "));
         throw new ConfigurationError(errors.join(", "));
@@ -130,6 +161,12 @@ const config = validateConfig({
     healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 30000,
     wsReconnectAttempts: parseInt(process.env.WS_RECONNECT_ATTEMPTS) || 5,
     requestTimeout: parseInt(process.env.REQUEST_TIMEOUT) || 30000,
+    cacheMaxEntries:
+        argv["cache-size"] !== undefined
+            ? argv["cache-size"]
+            : process.env.CACHE_MAX_ENTRIES !== undefined
+              ? Number(process.env.CACHE_MAX_ENTRIES)
+              : 10,
 });
 
 // Enhanced logging system
@@ -214,6 +251,16 @@ class SketchError extends Error {
     }
 }
 
+class NodePathError extends SketchError {
+    constructor(message, nodePath, candidates = []) {
+        super(message, "path_lookup");
+        this.name = "NodePathError";
+        this.code = candidates.length > 0 ? "AMBIGUOUS_PATH" : "PATH_NOT_FOUND";
+        this.nodePath = nodePath;
+        this.details = { nodePath, candidates };
+    }
+}
+
 // Initialize Express app
 const app = express();
 const httpServer = createServer(app);
@@ -573,6 +620,41 @@ const TOOLS = [
                     description:
                         "Optional. ID of a specific node within the document to retrieve",
                 },
+                nodePath: {
+                    type: "string",
+                    description:
+                        "Optional. Name path of the node to retrieve instead of nodeId, e.g. 'Checkout/Mobile - Cart/Header/Back Button'",
+                },
+                expandSymbols: {
+                    type: "boolean",
+                    description:
+                        "Optional. Expand symbol instances into their resolved layers, with overrides applied",
+                },
+                depth: {
+                    type: "number",
+                    description:
+                        "Optional. Levels of children to include below the node, or below each page. Deeper children are replaced by their IDs in elidedChildIds",
+                },
+                fields: {
+                    type: "string",
+                    description:
+                        "Optional. Comma-separated layer properties to keep, e.g. 'name,_class,frame'. do_objectID and layers are always kept",
+                },
+                pageId: {
+                    type: "string",
+                    description:
+                        "Optional. Only return this page when no node is requested",
+                },
+                limit: {
+                    type: "number",
+                    description:
+                        "Optional. Maximum top-level layers (usually artboards) per response when no node is requested (default: 25, max: 500)",
+                },
+                cursor: {
+                    type: "string",
+                    description:
+                        "Optional. nextCursor from a previous call, to fetch the next top-level layers",
+                },
             },
             required: ["url"],
         },
@@ -592,6 +674,22 @@ const TOOLS = [
             required: ["url"],
         },
     },
+    {
+        name: "list_styles",
+        description:
+            "List all shared layer and text styles in a Sketch file, with their fills, borders, shadows and typography",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+            },
+            required: ["url"],
+        },
+    },
     {
         name: "get_selection",
         description:
@@ -609,788 +707,7709 @@ const TOOLS = [
                     description:
                         "Array of selected element IDs from the Sketch Selection Helper plugin",
                 },
+                selectionPaths: {
+                    type: "array",
+                    items: { type: "string" },
+                    description:
+                        "Optional. Name paths of elements to include, e.g. 'Checkout/Mobile - Cart/Header'",
+                },
+                expandSymbols: {
+                    type: "boolean",
+                    description:
+                        "Optional. Expand symbol instances into their resolved layers, with overrides applied",
+                },
             },
-            required: ["url", "selectionIds"],
+            required: ["url"],
         },
     },
     {
-        name: "create_rectangle",
-        description: "Create a new rectangle in the Sketch document",
+        name: "render_node",
+        description:
+            "Render an artboard or layer to an SVG image, or rasterize it to PNG",
         parameters: {
             type: "object",
             properties: {
-                x: {
-                    type: "number",
-                    description: "X position of the rectangle",
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
                 },
-                y: {
-                    type: "number",
-                    description: "Y position of the rectangle",
+                nodeId: {
+                    type: "string",
+                    description: "ID of the artboard or layer to render",
                 },
-                width: {
-                    type: "number",
-                    description: "Width of the rectangle",
+                format: {
+                    type: "string",
+                    enum: ["svg", "png"],
+                    description: "Optional. Output format (default: svg)",
                 },
-                height: {
+                scale: {
                     type: "number",
-                    description: "Height of the rectangle",
+                    description:
+                        "Optional. Scale factor for the output size (default: 1)",
                 },
-                color: {
+            },
+            required: ["url", "nodeId"],
+        },
+    },
+    {
+        name: "export_svg",
+        description:
+            "Export a vector layer as a standalone SVG, or batch-export every symbol whose name starts with a prefix (e.g. icon/) into a directory",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
                     type: "string",
-                    description: "Fill color of the rectangle (hex format)",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                nodeId: {
+                    type: "string",
+                    description:
+                        "Optional. ID of the layer to export. Required unless prefix is given",
+                },
+                outputPath: {
+                    type: "string",
+                    description: "Optional. File to write the SVG of nodeId to",
+                },
+                prefix: {
+                    type: "string",
+                    description:
+                        "Optional. Symbol name prefix for a batch export, e.g. icon/",
+                },
+                outputDir: {
+                    type: "string",
+                    description:
+                        "Optional. Directory the batch export writes to. Required with prefix",
                 },
             },
-            required: ["width", "height"],
+            required: ["url"],
         },
     },
     {
-        name: "create_text",
-        description: "Create a new text layer in the Sketch document",
+        name: "search_layers",
+        description:
+            "Search layers across all pages by name, type, page, artboard, text content, shared style or symbol, returning IDs and breadcrumb paths",
         parameters: {
             type: "object",
             properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                name: {
+                    type: "string",
+                    description:
+                        "Optional. Layer name glob (e.g. 'Primary*') or regular expression (e.g. '/cta$/i')",
+                },
+                type: {
+                    type: "array",
+                    items: { type: "string" },
+                    description:
+                        "Optional. Sketch layer classes to include, e.g. ['text', 'symbolInstance']",
+                },
+                pageId: {
+                    type: "string",
+                    description: "Optional. Only search this page",
+                },
+                pageName: {
+                    type: "string",
+                    description:
+                        "Optional. Page name glob or regular expression",
+                },
+                artboard: {
+                    type: "string",
+                    description:
+                        "Optional. Artboard ID, or artboard name glob or regular expression",
+                },
                 text: {
                     type: "string",
-                    description: "Text content",
+                    description:
+                        "Optional. Text content to look for (case-insensitive), including symbol text overrides",
                 },
-                x: {
-                    type: "number",
-                    description: "X position of the text layer",
+                style: {
+                    type: "string",
+                    description:
+                        "Optional. Shared layer or text style name glob or regular expression",
                 },
-                y: {
+                symbol: {
+                    type: "string",
+                    description:
+                        "Optional. Symbol master name, master ID or symbolID used by instances",
+                },
+                limit: {
                     type: "number",
-                    description: "Y position of the text layer",
+                    description:
+                        "Optional. Maximum results per page (default: 50, max: 500)",
                 },
-                fontSize: {
+                cursor: {
+                    type: "string",
+                    description:
+                        "Optional. nextCursor from a previous call, to fetch the next page of results",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "get_outline",
+        description:
+            "Get a compact indented outline of a page, artboard or layer: one line per visible layer with type, name, rounded frame, key style facts and symbol names, kept within a token budget",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                nodeId: {
+                    type: "string",
+                    description:
+                        "Optional. ID of the artboard or layer to outline (default: every page)",
+                },
+                nodePath: {
+                    type: "string",
+                    description:
+                        "Optional. Name path of the artboard or layer to outline instead of nodeId",
+                },
+                pageId: {
+                    type: "string",
+                    description: "Optional. ID of a page to outline",
+                },
+                tokenBudget: {
                     type: "number",
-                    description: "Font size",
+                    description:
+                        "Optional. Approximate maximum size of the outline in tokens (default: 4000). Deeper levels are collapsed first",
                 },
-                color: {
+                includeIds: {
+                    type: "boolean",
+                    description:
+                        "Optional. Append each layer's ID to its line, for drilling down with get_file",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "generate_css",
+        description:
+            "Generate CSS for a layer: size and position, backgrounds, borders, border radius, shadows, opacity, blend modes, blur and typography",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
                     type: "string",
-                    description: "Text color (hex format)",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                nodeId: {
+                    type: "string",
+                    description: "ID of the layer to generate CSS for",
+                },
+                nodePath: {
+                    type: "string",
+                    description:
+                        "Optional. Name path of the layer instead of nodeId",
+                },
+                format: {
+                    type: "string",
+                    enum: ["css", "module", "react"],
+                    description:
+                        "Optional. Plain CSS, CSS modules (camelCase class names) or a React inline style object (default: css)",
+                },
+                includeChildren: {
+                    type: "boolean",
+                    description:
+                        "Optional. Also generate rules for every visible descendant, positioned against its parent",
+                },
+                responsive: {
+                    type: "boolean",
+                    description:
+                        "Optional. Position and size descendants from their resizing constraints (pinned edges, centered, stretching or scaling) instead of fixed pixel offsets",
                 },
             },
-            required: ["text"],
+            required: ["url"],
         },
     },
-];
-
-// Handler for messages endpoint
-app.post("/messages", async (req, res) => {
-    try {
-        const message = req.body;
-
-        if (message.type === "ping") {
-            return res.json({ type: "pong" });
-        }
-
-        if (message.type === "get_tools") {
-            return res.json({
-                type: "tools",
-                tools: TOOLS,
-            });
-        }
-
-        if (message.type === "execute_tool") {
-            const { tool, params } = message;
-            let result;
-
-            if (tool === "get_file") {
-                result = await getSketchFile(params.url, params.nodeId);
-            } else if (tool === "list_components") {
-                result = await listSketchComponents(params.url);
-            } else if (tool === "get_selection") {
-                result = await getSketchSelection(
-                    params.url,
-                    params.selectionIds,
-                );
-            } else if (tool === "create_rectangle") {
-                result = await forwardToWebSocketClients(
-                    "create_rectangle",
-                    params,
-                );
-            } else if (tool === "create_text") {
-                result = await forwardToWebSocketClients("create_text", params);
-            } else {
-                return res.status(400).json({
-                    type: "error",
-                    error: `Unknown tool: ${tool}`,
-                });
-            }
-
-            return res.json({
-                type: "tool_result",
-                id: message.id,
-                result,
-            });
-        }
-
-        return res.status(400).json({
-            type: "error",
-            error: `Unknown message type: ${message.type}`,
-        });
-    } catch (error) {
-        console.error("Error processing message:", error);
+    {
+        name: "generate_component",
+        description:
+            "Generate a React component scaffold from an artboard or symbol master, with text and overridable properties mapped to props and nested symbols imported as child components",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                nodeId: {
+                    type: "string",
+                    description: "ID of the artboard or symbol master",
+                },
+                nodePath: {
+                    type: "string",
+                    description:
+                        "Optional. Name path of the artboard or symbol master instead of nodeId",
+                },
+                language: {
+                    type: "string",
+                    enum: ["jsx", "tsx"],
+                    description: "Optional. Output language (default: tsx)",
+                },
+                styling: {
+                    type: "string",
+                    enum: ["css-modules", "tailwind"],
+                    description:
+                        "Optional. React + CSS modules or React + Tailwind (default: css-modules)",
+                },
+                responsive: {
+                    type: "boolean",
+                    description:
+                        "Optional. Position and size child elements from their resizing constraints instead of fixed pixel offsets",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "export_tokens",
+        description:
+            "Export design tokens (colors, typography, shadows, radii and spacing) as Design Tokens Community Group JSON, CSS custom properties, SCSS variables or a Tailwind theme extension",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                format: {
+                    type: "string",
+                    enum: ["dtcg", "css", "scss", "tailwind"],
+                    description: "Optional. Output format (default: dtcg)",
+                },
+                outputPath: {
+                    type: "string",
+                    description:
+                        "Optional. File to write the tokens to, e.g. 'tokens/tokens.json'",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "get_layout_grid",
+        description:
+            "Get an artboard's layout grid (columns, gutters, margins, rows and square grid) with the matching CSS grid container, and report which of its children are not aligned to the columns",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                nodeId: {
+                    type: "string",
+                    description: "ID of the artboard, or of a layer inside it",
+                },
+                nodePath: {
+                    type: "string",
+                    description:
+                        "Optional. Name path of the artboard instead of nodeId",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "component_usage",
+        description:
+            "Report where each symbol master is used: instance counts per page and artboard, which overrides instances apply with their most common values, and which masters are never instantiated",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                includeInstances: {
+                    type: "boolean",
+                    description:
+                        "Optional. Also list the ID and path of every instance",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "list_component_sets",
+        description:
+            "Group slash-named symbol masters (e.g. 'Button/Primary/Large/Disabled') into component families with variant axes, and report missing variant combinations and layer structure differences between variants",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                name: {
+                    type: "string",
+                    description:
+                        "Optional. Only include masters whose name matches this glob (e.g. 'Button/*') or /regex/",
+                },
+                familyDepth: {
+                    type: "number",
+                    description:
+                        "Optional. Number of leading name segments that name the family, e.g. 2 for 'Forms/Input/...' (default: 1)",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "lint_document",
+        description:
+            "Lint a Sketch document for consistency problems: detached styles, colors outside the palette, off-grid and fractional frames, default layer names, hidden layers, mixed fonts and detached symbol overrides. Findings carry node IDs and paths",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                nodeId: {
+                    type: "string",
+                    description:
+                        "Optional. Only lint this layer and its descendants",
+                },
+                nodePath: {
+                    type: "string",
+                    description: "Optional. Name path of the layer to lint",
+                },
+                pageId: {
+                    type: "string",
+                    description: "Optional. Only lint this page",
+                },
+                rules: {
+                    type: "object",
+                    description:
+                        "Optional. Rule settings by rule ID (detached-style, unknown-color, off-grid, fractional-frame, default-name, hidden-layer, mixed-fonts, detached-override). Each is false to disable it, a severity ('error', 'warning', 'info'), or an object with severity and options such as { gridSize: 4 } for off-grid",
+                },
+                limit: {
+                    type: "number",
+                    description:
+                        "Optional. Maximum number of findings to return (default: 100, max: 1000)",
+                },
+                cursor: {
+                    type: "string",
+                    description:
+                        "Optional. nextCursor from a previous call, to fetch the next page of findings",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "audit_accessibility",
+        description:
+            "Audit text layers for WCAG 2.x contrast against the layers painted beneath them (AA and AAA, by font size and weight), and flag buttons smaller than the minimum tap target",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to a Sketch file or Sketch Cloud document",
+                },
+                nodeId: {
+                    type: "string",
+                    description:
+                        "Optional. Only audit this artboard or layer subtree",
+                },
+                nodePath: {
+                    type: "string",
+                    description:
+                        "Optional. Name path of the artboard or layer to audit",
+                },
+                pageId: {
+                    type: "string",
+                    description: "Optional. Only audit this page",
+                },
+                minTapTarget: {
+                    type: "number",
+                    description:
+                        "Optional. Minimum width and height of buttons in points (default: 44)",
+                },
+                failuresOnly: {
+                    type: "boolean",
+                    description:
+                        "Optional. Only list text layers that fail AA or AAA, or whose background could not be determined",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "diff_documents",
+        description:
+            "Compare two versions of a Sketch document by layer ID: added, removed and moved layers, renamed layers, changed frames, fills, borders, shadows, text and typography, and swapped symbols or overrides, grouped per page and artboard, plus the symbol masters that changed",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description:
+                        "URL to the newer Sketch file or Sketch Cloud document",
+                },
+                baseUrl: {
+                    type: "string",
+                    description:
+                        "Optional. URL to the older version. Without it, the document is compared with the version cached before the file last changed",
+                },
+            },
+            required: ["url"],
+        },
+    },
+    {
+        name: "create_rectangle",
+        description: "Create a new rectangle in the Sketch document",
+        parameters: {
+            type: "object",
+            properties: {
+                x: {
+                    type: "number",
+                    description: "X position of the rectangle",
+                },
+                y: {
+                    type: "number",
+                    description: "Y position of the rectangle",
+                },
+                width: {
+                    type: "number",
+                    description: "Width of the rectangle",
+                },
+                height: {
+                    type: "number",
+                    description: "Height of the rectangle",
+                },
+                color: {
+                    type: "string",
+                    description: "Fill color of the rectangle (hex format)",
+                },
+            },
+            required: ["width", "height"],
+        },
+    },
+    {
+        name: "create_text",
+        description: "Create a new text layer in the Sketch document",
+        parameters: {
+            type: "object",
+            properties: {
+                text: {
+                    type: "string",
+                    description: "Text content",
+                },
+                x: {
+                    type: "number",
+                    description: "X position of the text layer",
+                },
+                y: {
+                    type: "number",
+                    description: "Y position of the text layer",
+                },
+                fontSize: {
+                    type: "number",
+                    description: "Font size",
+                },
+                color: {
+                    type: "string",
+                    description: "Text color (hex format)",
+                },
+            },
+            required: ["text"],
+        },
+    },
+];
+
+// Handler for messages endpoint
+app.post("/messages", async (req, res) => {
+    try {
+        const message = req.body;
+
+        if (message.type === "ping") {
+            return res.json({ type: "pong" });
+        }
+
+        if (message.type === "get_tools") {
+            return res.json({
+                type: "tools",
+                tools: TOOLS,
+            });
+        }
+
+        if (message.type === "execute_tool") {
+            const { tool, params } = message;
+            let result;
+
+            if (tool === "get_file") {
+                result = await getSketchFile(params.url, params.nodeId, {
+                    nodePath: params.nodePath,
+                    expandSymbols: params.expandSymbols,
+                    depth: params.depth,
+                    fields: params.fields,
+                    pageId: params.pageId,
+                    limit: params.limit,
+                    cursor: params.cursor,
+                });
+            } else if (tool === "list_components") {
+                result = await listSketchComponents(params.url);
+            } else if (tool === "list_styles") {
+                result = await listSketchStyles(params.url);
+            } else if (tool === "get_selection") {
+                result = await getSketchSelection(
+                    params.url,
+                    params.selectionIds,
+                    {
+                        selectionPaths: params.selectionPaths,
+                        expandSymbols: params.expandSymbols,
+                    },
+                );
+            } else if (tool === "render_node") {
+                result = await renderSketchNode(params.url, params.nodeId, {
+                    format: params.format,
+                    scale: params.scale,
+                });
+            } else if (tool === "export_svg") {
+                result = await exportSketchSvg(params.url, {
+                    nodeId: params.nodeId,
+                    outputPath: params.outputPath,
+                    prefix: params.prefix,
+                    outputDir: params.outputDir,
+                });
+            } else if (tool === "search_layers") {
+                result = await searchSketchLayers(params.url, {
+                    name: params.name,
+                    type: params.type,
+                    pageId: params.pageId,
+                    pageName: params.pageName,
+                    artboard: params.artboard,
+                    text: params.text,
+                    style: params.style,
+                    symbol: params.symbol,
+                    limit: params.limit,
+                    cursor: params.cursor,
+                });
+            } else if (tool === "get_outline") {
+                result = await getSketchOutline(params.url, {
+                    nodeId: params.nodeId,
+                    nodePath: params.nodePath,
+                    pageId: params.pageId,
+                    tokenBudget: params.tokenBudget,
+                    includeIds: params.includeIds,
+                });
+            } else if (tool === "generate_css") {
+                result = await generateSketchCss(params.url, {
+                    nodeId: params.nodeId,
+                    nodePath: params.nodePath,
+                    format: params.format,
+                    includeChildren: params.includeChildren,
+                    responsive: params.responsive,
+                });
+            } else if (tool === "generate_component") {
+                result = await generateSketchComponent(params.url, {
+                    nodeId: params.nodeId,
+                    nodePath: params.nodePath,
+                    language: params.language,
+                    styling: params.styling,
+                    responsive: params.responsive,
+                });
+            } else if (tool === "export_tokens") {
+                result = await exportSketchTokens(params.url, {
+                    format: params.format,
+                    outputPath: params.outputPath,
+                });
+            } else if (tool === "get_layout_grid") {
+                result = await getSketchLayoutGrid(params.url, {
+                    nodeId: params.nodeId,
+                    nodePath: params.nodePath,
+                });
+            } else if (tool === "component_usage") {
+                result = await getSketchComponentUsage(params.url, {
+                    includeInstances: params.includeInstances,
+                });
+            } else if (tool === "list_component_sets") {
+                result = await listSketchComponentSets(params.url, {
+                    name: params.name,
+                    familyDepth: params.familyDepth,
+                });
+            } else if (tool === "lint_document") {
+                result = await lintSketchDocument(params.url, {
+                    nodeId: params.nodeId,
+                    nodePath: params.nodePath,
+                    pageId: params.pageId,
+                    rules: params.rules,
+                    limit: params.limit,
+                    cursor: params.cursor,
+                });
+            } else if (tool === "audit_accessibility") {
+                result = await auditSketchAccessibility(params.url, {
+                    nodeId: params.nodeId,
+                    nodePath: params.nodePath,
+                    pageId: params.pageId,
+                    minTapTarget: params.minTapTarget,
+                    failuresOnly: params.failuresOnly,
+                });
+            } else if (tool === "diff_documents") {
+                result = await diffSketchDocuments(params.url, {
+                    baseUrl: params.baseUrl,
+                });
+            } else if (tool === "create_rectangle") {
+                result = await forwardToWebSocketClients(
+                    "create_rectangle",
+                    params,
+                );
+            } else if (tool === "create_text") {
+                result = await forwardToWebSocketClients("create_text", params);
+            } else {
+                return res.status(400).json({
+                    type: "error",
+                    error: `Unknown tool: ${tool}`,
+                });
+            }
+
+            return res.json({
+                type: "tool_result",
+                id: message.id,
+                result,
+            });
+        }
+
+        return res.status(400).json({
+            type: "error",
+            error: `Unknown message type: ${message.type}`,
+        });
+    } catch (error) {
+        console.error("Error processing message:", error);
         return res.status(500).json({
             type: "error",
             error: error.message,
+            ...(error.details && { details: error.details }),
+        });
+    }
+});
+
+// Forward a command to all connected WebSocket clients
+async function forwardToWebSocketClients(command, params) {
+    return new Promise((resolve, reject) => {
+        if (clients.size === 0) {
+            return reject(new Error("No connected Sketch instances"));
+        }
+
+        const requestId =
+            Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        let responseReceived = false;
+
+        // Store the request handlers
+        pendingRequests.set(requestId, {
+            resolve,
+            reject,
+            timeout: setTimeout(() => {
+                if (!responseReceived) {
+                    pendingRequests.delete(requestId);
+                    reject(new Error("Request timed out"));
+                }
+            }, 30000),
+        });
+
+        // Send to all WebSocket clients in all channels
+        for (const [channelName, channelClients] of channels.entries()) {
+            channelClients.forEach((client) => {
+                if (client.readyState === WebSocket.OPEN) {
+                    client.send(
+                        JSON.stringify({
+                            type: "message",
+                            channel: channelName,
+                            message: {
+                                id: requestId,
+                                command,
+                                params,
+                            },
+                        }),
+                    );
+                }
+            });
+        }
+    });
+}
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+    const health = {
+        status: "healthy",
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        connections: {
+            websocket: clients.size,
+            channels: channels.size,
+            pending: pendingRequests.size,
+        },
+        config: {
+            port: config.port,
+            maxFileSize: config.maxFileSize,
+            logLevel: config.logLevel,
+            hasApiKey: !!config.sketchApiKey,
+            hasLocalFile: !!config.localFilePath,
+        },
+        cache: documentCache.getStats(),
+    };
+
+    res.json(health);
+});
+
+// Validation endpoint for configuration
+app.get("/validate", (req, res) => {
+    const validationResults = {
+        timestamp: new Date().toISOString(),
+        configuration: {
+            port: { valid: true, value: config.port },
+            maxFileSize: {
+                valid: true,
+                value: `${config.maxFileSize / 1024 / 1024}MB`,
+            },
+            logLevel: { valid: true, value: config.logLevel },
+        },
+        connectivity: {
+            websocket: clients.size > 0,
+            channels: channels.size > 0,
+        },
+        requirements: {
+            sketchApiKey: {
+                present: !!config.sketchApiKey,
+                required: "Optional for local files, required for Sketch Cloud",
+            },
+            localFile: {
+                present: !!config.localFilePath,
+                valid: config.localFilePath
+                    ? fs.existsSync(config.localFilePath)
+                    : null,
+                path: config.localFilePath,
+            },
+        },
+    };
+
+    // Add warnings if any
+    const warnings = [];
+    if (!config.sketchApiKey && !config.localFilePath) {
+        warnings.push("No Sketch API key or local file configured");
+    }
+    if (clients.size === 0) {
+        warnings.push("No WebSocket clients connected");
+    }
+
+    if (warnings.length > 0) {
+        validationResults.warnings = warnings;
+    }
+
+    res.json(validationResults);
+});
+
+// Embedded bitmap assets of a parsed document
+app.get("/documents/:docId/images/:ref", async (req, res) => {
+    // Refs are plain file names; reject anything that could leave images/
+    if (path.posix.basename(req.params.ref) !== req.params.ref) {
+        return res.status(400).json({
+            type: "error",
+            error: "Invalid image reference",
+        });
+    }
+
+    await sendDocumentAsset(req, res, `images/${req.params.ref}`);
+});
+
+// Document preview image generated by Sketch on save
+app.get("/documents/:docId/preview", async (req, res) => {
+    await sendDocumentAsset(req, res, "previews/preview.png");
+});
+
+// Main endpoint for basic info
+app.get("/", (req, res) => {
+    const stats = {
+        connections: clients.size,
+        channels: channels.size,
+        uptime: Math.floor(process.uptime()),
+        memory: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
+    };
+
+    res.send(`
+    <h1>Sketch MCP Server</h1>
+    <p><strong>Status:</strong> Running</p>
+    <p><strong>Version:</strong> ${require("./package.json").version}</p>
+    <div style="margin: 20px 0; padding: 15px; background: #f5f5f5; border-radius: 5px;">
+      <h3>Server Statistics</h3>
+      <ul>
+        <li>Active WebSocket connections: ${stats.connections}</li>
+        <li>Active channels: ${stats.channels}</li>
+        <li>Uptime: ${stats.uptime} seconds</li>
+        <li>Memory usage: ${stats.memory}</li>
+      </ul>
+    </div>
+    <div style="margin: 20px 0;">
+      <h3>Available Endpoints</h3>
+      <ul>
+        <li><a href="/health">Health Check</a> - Server health status</li>
+        <li><a href="/validate">Configuration Validation</a> - Check server setup</li>
+        <li><a href="/sse">Server-Sent Events</a> - For Cursor IDE integration</li>
+        <li>POST /messages - Message endpoint for MCP tools</li>
+        <li>GET /documents/:docId/images/:ref - Embedded bitmaps of a parsed document</li>
+        <li>GET /documents/:docId/preview - Preview image of a parsed document</li>
+        <li>WebSocket: ws://localhost:${config.port} - For Sketch plugin</li>
+      </ul>
+    </div>
+    <div style="margin: 20px 0; padding: 15px; background: #e8f4fd; border-radius: 5px;">
+      <h3>Setup Instructions</h3>
+      <p><strong>For Cursor IDE:</strong> Add MCP server with URL: <code>http://localhost:${config.port}/sse</code></p>
+      <p><strong>For Sketch Plugin:</strong> Connect to port <code>${config.port}</code></p>
+    </div>
+  `);
+});
+
+// In-memory cache of parsed Sketch documents
+// Local files are keyed by absolute path and validated against mtime/size,
+// cloud files by document ID and version. Local entries are also watched
+// so that edits made in Sketch invalidate them straight away.
+class DocumentCache {
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.watchers = new Map();
+        this.sources = new Map();
+        // Last version of a document replaced by a newer one, at most one per
+        // key and maxEntries in all, kept for diff_documents
+        this.snapshots = new Map();
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            invalidations: 0,
+            evictions: 0,
+        };
+    }
+
+    get(key, version) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        if (entry.version !== version) {
+            this.invalidate(key, "version_changed");
+            this.stats.misses++;
+            return null;
+        }
+
+        // Re-insert to keep the Map ordered from least to most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        entry.hits++;
+        this.stats.hits++;
+        logger.debug("Document cache hit", { key, version });
+
+        return entry.data;
+    }
+
+    set(key, version, data) {
+        if (this.entries.has(key)) {
+            this.entries.delete(key);
+        }
+
+        this.entries.set(key, {
+            version,
+            data,
+            hits: 0,
+            cachedAt: Date.now(),
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.snapshots.delete(oldestKey);
+            this.unwatch(oldestKey);
+            this.stats.evictions++;
+            logger.debug("Evicted document from cache", { key: oldestKey });
+        }
+    }
+
+    // Remember where a document ID came from, so asset URLs handed out in
+    // tool results keep working after the parsed document is evicted
+    registerSource(documentId, source) {
+        this.sources.set(documentId, source);
+    }
+
+    getSource(documentId) {
+        return this.sources.get(documentId) || null;
+    }
+
+    watch(filePath) {
+        if (this.watchers.has(filePath)) return;
+
+        const watcher = chokidar.watch(filePath, {
+            ignoreInitial: true,
+            awaitWriteFinish: { stabilityThreshold: 300 },
+        });
+
+        watcher.on("change", () => this.invalidate(filePath, "file_changed"));
+        watcher.on("unlink", () => this.invalidate(filePath, "file_removed"));
+        watcher.on("error", (error) => {
+            logger.warn("File watcher error", {
+                filePath,
+                error: error.message,
+            });
+        });
+
+        this.watchers.set(filePath, watcher);
+    }
+
+    unwatch(key) {
+        const watcher = this.watchers.get(key);
+        if (watcher) {
+            watcher.close();
+            this.watchers.delete(key);
+        }
+    }
+
+    // An invalidated document is kept as its key's only snapshot, unless
+    // its file is gone
+    invalidate(key, reason) {
+        const entry = this.entries.get(key);
+
+        if (reason === "file_removed") {
+            this.snapshots.delete(key);
+        }
+
+        if (entry) {
+            this.entries.delete(key);
+            if (reason !== "file_removed") {
+                this.snapshots.delete(key);
+                this.snapshots.set(key, {
+                    version: entry.version,
+                    data: entry.data,
+                    cachedAt: entry.cachedAt,
+                    replacedAt: Date.now(),
+                    reason,
+                });
+                this.evictSnapshots();
+            }
+            this.stats.invalidations++;
+            logger.info("Invalidated cached document", { key, reason });
+        }
+    }
+
+    // Keep at most maxEntries snapshots, dropping the oldest first
+    evictSnapshots() {
+        while (this.snapshots.size > this.maxEntries) {
+            const oldestKey = this.snapshots.keys().next().value;
+            this.snapshots.delete(oldestKey);
+            logger.debug("Evicted document snapshot", { key: oldestKey });
+        }
+    }
+
+    // The version a document had before it last changed, if it was cached
+    getSnapshot(key) {
+        return this.snapshots.get(key) || null;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            watchedFiles: this.watchers.size,
+            snapshots: this.snapshots.size,
+            ...this.stats,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            documents: Array.from(this.entries.entries()).map(
+                ([key, entry]) => ({
+                    key,
+                    version: entry.version,
+                    hits: entry.hits,
+                    cachedAt: new Date(entry.cachedAt).toISOString(),
+                }),
+            ),
+        };
+    }
+
+    close() {
+        for (const key of this.watchers.keys()) {
+            this.unwatch(key);
+        }
+        this.entries.clear();
+        this.snapshots.clear();
+    }
+}
+
+const documentCache = new DocumentCache(config.cacheMaxEntries);
+
+// Helper function to work out where a URL's document comes from: a Sketch
+// Cloud document ID, or a local file path (falling back to --local-file)
+function resolveDocumentSource(url) {
+    const isCloudUrl =
+        url.includes("sketch.cloud") || url.includes("sketch.com");
+    const isLocalFile =
+        !isCloudUrl && (url.startsWith("/") || url.includes(":\\"));
+
+    return {
+        isCloudUrl,
+        isLocalFile,
+        documentId: isCloudUrl ? extractDocumentIdFromUrl(url) : null,
+        filePath: isCloudUrl ? null : isLocalFile ? url : config.localFilePath,
+    };
+}
+
+// Helper function to compute the document cache key of a source
+function getDocumentCacheKey(source) {
+    return source.documentId
+        ? `cloud:${source.documentId}`
+        : path.resolve(source.filePath);
+}
+
+// Enhanced file processing with validation and error handling
+async function getSketchFile(url, nodeId, options = {}) {
+    try {
+        logger.debug("Processing Sketch file request", { url, nodeId });
+
+        // Validate input parameters
+        if (!url || typeof url !== "string") {
+            throw new FileError(
+                "URL parameter is required and must be a string",
+            );
+        }
+
+        // Determine file source and validate
+        const source = resolveDocumentSource(url);
+        const { isCloudUrl, isLocalFile } = source;
+
+        if (!isCloudUrl && !isLocalFile && !config.localFilePath) {
+            throw new FileError(
+                "Invalid URL format. Must be a Sketch Cloud URL or local file path",
+                url,
+            );
+        }
+
+        let documentData;
+        let fileSize = 0;
+
+        if (isCloudUrl) {
+            if (!config.sketchApiKey) {
+                throw new AuthenticationError(
+                    "Sketch API key is required for cloud files. Use --sketch-api-key parameter or set SKETCH_API_KEY environment variable",
+                );
+            }
+
+            const { documentId } = source;
+            if (!documentId) {
+                throw new FileError("Invalid Sketch Cloud URL format", url);
+            }
+
+            documentData = await fetchCloudDocument(documentId);
+            documentData.id = documentId;
+            documentCache.registerSource(documentId, url);
+        } else {
+            const { filePath } = source;
+
+            if (!filePath) {
+                throw new FileError(
+                    "No local file specified. Use --local-file parameter or provide a file path",
+                );
+            }
+
+            // Check file existence and size
+            if (!fs.existsSync(filePath)) {
+                throw new FileError(`File not found: ${filePath}`, filePath);
+            }
+
+            const stats = fs.statSync(filePath);
+            fileSize = stats.size;
+
+            if (fileSize > config.maxFileSize) {
+                throw new FileError(
+                    `File too large: ${Math.round(fileSize / 1024 / 1024)}MB (max: ${Math.round(config.maxFileSize / 1024 / 1024)}MB)`,
+                    filePath,
+                );
+            }
+
+            if (fileSize === 0) {
+                throw new FileError("File is empty", filePath);
+            }
+
+            const cacheKey = getDocumentCacheKey(source);
+            const version = `${stats.mtimeMs}:${stats.size}`;
+
+            documentData = documentCache.get(cacheKey, version);
+            if (!documentData) {
+                documentData = await parseLocalSketchFile(filePath);
+                documentCache.set(cacheKey, version, documentData);
+                documentCache.watch(cacheKey);
+            }
+
+            documentData.id = crypto
+                .createHash("sha1")
+                .update(cacheKey)
+                .digest("hex")
+                .slice(0, 16);
+            documentCache.registerSource(documentData.id, cacheKey);
+        }
+
+        // Log successful file processing
+        logger.info("File processed successfully", {
+            url: isCloudUrl ? "cloud" : "local",
+            fileSize: Math.round(fileSize / 1024),
+            hasNodeId: !!nodeId,
+        });
+
+        // Handle specific node requests
+        if (nodeId || options.nodePath) {
+            const node = nodeId
+                ? findNodeWithMetadata(documentData, nodeId)
+                : resolveNodePath(documentData, options.nodePath);
+            if (!node) {
+                throw new SketchError(
+                    `Node with ID '${nodeId}' not found in document`,
+                    "node_lookup",
+                );
+            }
+
+            logger.debug("Node found successfully", {
+                nodeId: node.do_objectID,
+                nodeType: node._class,
+            });
+            const enriched = enrichNodeData(
+                options.expandSymbols
+                    ? expandSymbolInstances(node, documentData)
+                    : node,
+                documentData,
+            );
+
+            if (hasProjectionOptions(options)) {
+                const projection = createProjection(options);
+                enriched.node = projectNode(enriched.node, projection);
+                enriched.truncated = projection.elided > 0;
+            }
+
+            return enriched;
+        }
+
+        if (hasProjectionOptions(options)) {
+            return projectSketchDocument(documentData, options);
+        }
+
+        return documentData;
+    } catch (error) {
+        logger.error("Failed to process Sketch file", {
+            url,
+            nodeId,
+            error: error.message,
+            errorType: error.type || "unknown",
+        });
+
+        // Re-throw with appropriate error type if not already categorized
+        if (
+            error instanceof FileError ||
+            error instanceof AuthenticationError ||
+            error instanceof SketchError
+        ) {
+            throw error;
+        } else {
+            throw new FileError(
+                `Failed to process Sketch file: ${error.message}`,
+                url,
+            );
+        }
+    }
+}
+
+// Function to fetch document from Sketch Cloud
+async function fetchCloudDocument(documentId) {
+    if (!config.sketchApiKey) {
+        throw new Error("Sketch API key is required for cloud files");
+    }
+
+    // Call Sketch Cloud API to get document details
+    const apiUrl = `https://api.sketch.cloud/v1/documents/${documentId}`;
+    const response = await fetch(apiUrl, {
+        headers: {
+            Authorization: `Bearer ${config.sketchApiKey}`,
+        },
+    });
+
+    if (!response.ok) {
+        throw new Error(
+            `Failed to fetch document from Sketch Cloud: ${response.statusText}`,
+        );
+    }
+
+    const documentData = await response.json();
+
+    // Get the download URL for the sketch file
+    const downloadUrl = documentData.shortcut.downloadUrl;
+
+    // Skip the download entirely if this version is already parsed
+    const cacheKey = getDocumentCacheKey({ documentId });
+    const version = getCloudDocumentVersion(documentData);
+    const cached = documentCache.get(cacheKey, version);
+    if (cached) {
+        return cached;
+    }
+
+    // Download the file
+    const fileResponse = await fetch(downloadUrl);
+    if (!fileResponse.ok) {
+        throw new Error(
+            `Failed to download Sketch file: ${fileResponse.statusText}`,
+        );
+    }
+
+    const buffer = await fileResponse.buffer();
+    const parsed = await parseSketchBuffer(buffer);
+    documentCache.set(cacheKey, version, parsed);
+
+    return parsed;
+}
+
+// Helper function to pick a version identifier from Sketch Cloud metadata
+function getCloudDocumentVersion(documentData) {
+    if (documentData.version && documentData.version.id) {
+        return String(documentData.version.id);
+    }
+
+    return String(
+        documentData.updatedAt ||
+            documentData.shortcut.updatedAt ||
+            documentData.shortcut.downloadUrl,
+    );
+}
+
+// Layer classes that act as a top-level canvas within a page
+const ARTBOARD_CLASSES = ["artboard", "symbolMaster"];
+
+// Lazily parsed Sketch document
+// The zip is opened straight from the buffer and only document.json and
+// meta.json are parsed up front. Page JSON is parsed the first time a lookup
+// touches that page, using meta.json's pagesAndArtboards to route IDs.
+class SketchDocument {
+    constructor(zip) {
+        this.zip = zip;
+        this.document = readZipJson(zip, "document.json");
+        if (!this.document) {
+            throw new Error("Invalid Sketch file: document.json not found");
+        }
+
+        this.meta = readZipJson(zip, "meta.json") || {};
+        this.pageIds = getPageIds(zip, this.document);
+        this.loadedPages = new Map();
+
+        // Node index, filled in page by page as pages are parsed
+        this.nodes = new Map();
+        this.parents = new Map();
+        this.paths = new Map();
+
+        // Built on first use, since they need every page
+        this.symbolMasters = null;
+        this.sharedStyles = null;
+
+        // Rendered SVG/PNG output for this version of the file
+        this.renders = new Map();
+
+        // Map page and artboard IDs to the page that contains them
+        this.pageRoutes = new Map();
+        const pagesAndArtboards = this.meta.pagesAndArtboards || {};
+        for (const [pageId, pageInfo] of Object.entries(pagesAndArtboards)) {
+            this.pageRoutes.set(pageId, pageId);
+            for (const artboardId of Object.keys(pageInfo.artboards || {})) {
+                this.pageRoutes.set(artboardId, pageId);
+            }
+        }
+    }
+
+    // All pages, in document order. Touching this parses every page.
+    get pages() {
+        return this.pageIds.map((pageId) => this.getPage(pageId));
+    }
+
+    getPage(pageId) {
+        if (this.loadedPages.has(pageId)) {
+            return this.loadedPages.get(pageId);
+        }
+
+        const page = readZipJson(this.zip, `pages/${pageId}.json`);
+        if (!page) return null;
+
+        this.loadedPages.set(pageId, page);
+        this.indexPage(page);
+        logger.debug("Parsed page on demand", {
+            pageId,
+            name: page.name,
+            indexedNodes: this.nodes.size,
+        });
+
+        return page;
+    }
+
+    // Record id → node, id → parent and id → breadcrumb for a whole page
+    indexPage(page) {
+        const visit = (node, parent, parentPath) => {
+            const nodePath = parentPath
+                ? `${parentPath} / ${node.name}`
+                : node.name;
+
+            this.nodes.set(node.do_objectID, node);
+            this.paths.set(node.do_objectID, nodePath);
+            if (parent) {
+                this.parents.set(node.do_objectID, parent);
+            }
+
+            for (const child of node.layers || []) {
+                visit(child, node, nodePath);
+            }
+        };
+
+        visit(page, null, "");
+    }
+
+    findNode(id) {
+        if (this.document.do_objectID === id) {
+            return this.document;
+        }
+
+        if (this.nodes.has(id)) {
+            return this.nodes.get(id);
+        }
+
+        // Direct hit on a page or artboard listed in meta.json
+        const routedPageId = this.pageRoutes.get(id);
+        if (routedPageId) {
+            this.getPage(routedPageId);
+            if (this.nodes.has(id)) return this.nodes.get(id);
+        }
+
+        // Nested layers are not listed in meta.json, so parse the remaining
+        // pages one at a time until the node turns up
+        for (const pageId of this.pageIds) {
+            if (this.loadedPages.has(pageId)) continue;
+
+            this.getPage(pageId);
+            if (this.nodes.has(id)) return this.nodes.get(id);
+        }
+
+        return null;
+    }
+
+    getParent(id) {
+        return this.parents.get(id) || null;
+    }
+
+    getPath(id) {
+        return this.paths.get(id) || null;
+    }
+
+    // Nodes matching a "Page/Artboard/Group/Layer" name path. Layer names
+    // may contain slashes themselves, so one name can span several segments.
+    findNodesByPath(nodePath) {
+        const segments = splitNodePath(nodePath);
+        if (segments.length === 0) return [];
+
+        const matches = [];
+        const visit = (nodes, start) => {
+            for (const node of nodes) {
+                const nameSegments = splitNodePath(node.name);
+                const end = start + nameSegments.length;
+
+                if (nameSegments.length === 0 || end > segments.length) {
+                    continue;
+                }
+                if (
+                    !nameSegments.every(
+                        (segment, i) => segment === segments[start + i],
+                    )
+                ) {
+                    continue;
+                }
+
+                if (end === segments.length) {
+                    matches.push(node);
+                } else {
+                    visit(node.layers || [], end);
+                }
+            }
+        };
+
+        // Only parse the pages whose name can start the path
+        const pagesAndArtboards = this.meta.pagesAndArtboards || {};
+        const candidatePages = this.pageIds
+            .filter((pageId) => {
+                const pageInfo = pagesAndArtboards[pageId];
+                return (
+                    !pageInfo || splitNodePath(pageInfo.name)[0] === segments[0]
+                );
+            })
+            .map((pageId) => this.getPage(pageId))
+            .filter(Boolean);
+        visit(candidatePages, 0);
+
+        // Paths may also leave out the page and start at an artboard
+        if (matches.length === 0) {
+            for (const page of this.pages) {
+                if (page) visit(page.layers || [], 0);
+            }
+        }
+
+        return matches;
+    }
+
+    // Ancestors from the page down to the direct parent
+    getAncestors(id) {
+        const ancestors = [];
+        let parent = this.getParent(id);
+
+        while (parent) {
+            ancestors.unshift(parent);
+            parent = this.getParent(parent.do_objectID);
+        }
+
+        return ancestors;
+    }
+
+    // Nearest artboard or symbol master containing the node
+    getArtboard(id) {
+        const ancestors = this.getAncestors(id);
+
+        for (let i = ancestors.length - 1; i >= 0; i--) {
+            if (ARTBOARD_CLASSES.includes(ancestors[i]._class)) {
+                return ancestors[i];
+            }
+        }
+
+        return null;
+    }
+
+    getSiblings(id) {
+        const parent = this.getParent(id);
+        if (!parent) return [];
+
+        return (parent.layers || []).filter(
+            (layer) => layer.do_objectID !== id,
+        );
+    }
+
+    // All local and library symbol masters
+    getSymbolMasters() {
+        this.getSymbolMaster(null);
+        return Array.from(this.symbolMasters.values());
+    }
+
+    // Look up a local or library symbol master by its symbolID
+    getSymbolMaster(symbolID) {
+        if (!this.symbolMasters) {
+            this.symbolMasters = new Map();
+
+            for (const page of this.pages) {
+                collectSymbolMasters(page, (master) => {
+                    this.symbolMasters.set(master.symbolID, {
+                        master,
+                        library: null,
+                    });
+                });
+            }
+
+            for (const foreign of this.document.foreignSymbols || []) {
+                if (!foreign.symbolMaster) continue;
+                this.symbolMasters.set(foreign.symbolMaster.symbolID, {
+                    master: foreign.symbolMaster,
+                    library: {
+                        id: foreign.libraryID,
+                        name: foreign.sourceLibraryName,
+                    },
+                });
+            }
+        }
+
+        return this.symbolMasters.get(symbolID) || null;
+    }
+
+    // All shared layer and text styles, local ones first
+    getSharedStyles() {
+        if (!this.sharedStyles) {
+            this.sharedStyles = new Map();
+
+            const add = (sharedStyle, kind, library) => {
+                this.sharedStyles.set(sharedStyle.do_objectID, {
+                    id: sharedStyle.do_objectID,
+                    name: sharedStyle.name,
+                    kind,
+                    library,
+                    value: sharedStyle.value,
+                });
+            };
+
+            const local = [
+                [this.document.layerStyles, "layer"],
+                [this.document.layerTextStyles, "text"],
+            ];
+            for (const [container, kind] of local) {
+                for (const sharedStyle of (container && container.objects) ||
+                    []) {
+                    add(sharedStyle, kind, null);
+                }
+            }
+
+            const foreign = [
+                [this.document.foreignLayerStyles, "layer"],
+                [this.document.foreignTextStyles, "text"],
+            ];
+            for (const [foreignStyles, kind] of foreign) {
+                for (const foreignStyle of foreignStyles || []) {
+                    if (!foreignStyle.localSharedStyle) continue;
+                    add(foreignStyle.localSharedStyle, kind, {
+                        id: foreignStyle.libraryID,
+                        name: foreignStyle.sourceLibraryName,
+                        remoteStyleID: foreignStyle.remoteStyleID,
+                    });
+                }
+            }
+        }
+
+        return Array.from(this.sharedStyles.values());
+    }
+
+    // Look up a local or library shared layer/text style by ID
+    getSharedStyle(styleId) {
+        if (!this.sharedStyles) {
+            this.getSharedStyles();
+        }
+
+        return this.sharedStyles.get(styleId) || null;
+    }
+
+    // Read an embedded asset such as "images/<hash>.png"
+    // Some files reference images without the extension they are stored with.
+    getAsset(entryName) {
+        const entry =
+            this.zip.getEntry(entryName) ||
+            this.zip
+                .getEntries()
+                .find((candidate) =>
+                    candidate.entryName.startsWith(`${entryName}.`),
+                );
+
+        return entry ? entry.getData() : null;
+    }
+
+    toJSON() {
+        return {
+            documentId: this.id,
+            previewUrl: this.id ? getPreviewUrl(this) : undefined,
+            document: this.document,
+            meta: this.meta,
+            pages: this.pages,
+        };
+    }
+}
+
+// Helper function to read and parse a JSON entry from a Sketch zip
+function readZipJson(zip, entryName) {
+    const entry = zip.getEntry(entryName);
+    if (!entry) return null;
+    return JSON.parse(entry.getData().toString("utf8"));
+}
+
+// Helper function to list page IDs in document order
+function getPageIds(zip, documentJson) {
+    if (Array.isArray(documentJson.pages) && documentJson.pages.length > 0) {
+        return documentJson.pages
+            .map((ref) => ref._ref && ref._ref.replace(/^pages\//, ""))
+            .filter(Boolean);
+    }
+
+    // Fall back to the zip entries for files without page references
+    return zip
+        .getEntries()
+        .map((entry) => entry.entryName)
+        .filter((name) => /^pages\/.+\.json$/.test(name))
+        .map((name) => name.slice("pages/".length, -".json".length));
+}
+
+// Function to parse Sketch file buffer
+async function parseSketchBuffer(buffer, nodeId = null) {
+    // Sketch files are zips; AdmZip only reads the central directory here
+    const sketchDocument = new SketchDocument(new AdmZip(buffer));
+
+    // If nodeId is specified, find the specific node
+    if (nodeId) {
+        const node = sketchDocument.findNode(nodeId);
+
+        if (!node) {
+            throw new Error(`Node with ID ${nodeId} not found in the document`);
+        }
+
+        return node;
+    }
+
+    return sketchDocument;
+}
+
+// Function to list components in a Sketch file
+async function listSketchComponents(url) {
+    try {
+        const sketchData = await getSketchFile(url);
+        const components = [];
+
+        // Search for components in document
+        findComponents(sketchData.document, components);
+
+        // Search for components in pages
+        for (const page of sketchData.pages) {
+            findComponents(page, components);
+        }
+
+        return components;
+    } catch (error) {
+        console.error("Error listing components:", error);
+        throw error;
+    }
+}
+
+// Distinct override values listed per override in component_usage
+const USAGE_MAX_VALUES = 10;
+
+// Function to report where each symbol master is used: instance counts per
+// page and artboard, the overrides instances apply, and masters that are
+// neither instantiated nor swapped in through an override
+async function getSketchComponentUsage(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const usage = new Map();
+    const missing = new Map();
+
+    for (const { master, library } of sketchDocument.getSymbolMasters()) {
+        usage.set(master.symbolID, {
+            id: master.do_objectID,
+            symbolID: master.symbolID,
+            name: master.name,
+            library,
+            instanceCount: 0,
+            swapCount: 0,
+            pages: new Map(),
+            artboards: new Map(),
+            overrides: new Map(),
+            instances: [],
+        });
+    }
+
+    for (const page of sketchDocument.pages) {
+        walkLayers(page, (layer) => {
+            if (layer._class !== "symbolInstance") return;
+
+            const entry = usage.get(layer.symbolID);
+            if (!entry) {
+                missing.set(
+                    layer.symbolID,
+                    (missing.get(layer.symbolID) || 0) + 1,
+                );
+                return;
+            }
+
+            const id = layer.do_objectID;
+            const artboard = sketchDocument.getArtboard(id);
+            entry.instanceCount++;
+            countUsage(entry.pages, page);
+            if (artboard) countUsage(entry.artboards, artboard);
+            if (options.includeInstances) {
+                entry.instances.push({ id, path: sketchDocument.getPath(id) });
+            }
+
+            for (const override of layer.overrideValues || []) {
+                let seen = entry.overrides.get(override.overrideName);
+                if (!seen) {
+                    seen = { count: 0, values: new Map() };
+                    entry.overrides.set(override.overrideName, seen);
+                }
+                seen.count++;
+
+                // Masters swapped in through an override are in use too
+                const swappedIn = override.overrideName.endsWith("_symbolID")
+                    ? usage.get(override.value)
+                    : null;
+                if (swappedIn) swappedIn.swapCount++;
+
+                const value = describeOverrideValue(override, sketchDocument);
+                seen.values.set(value, (seen.values.get(value) || 0) + 1);
+            }
+        });
+    }
+
+    const byCount = (a, b) =>
+        b.count - a.count || String(a.name).localeCompare(String(b.name));
+    const components = Array.from(usage.values())
+        .map((entry) => {
+            const { master } = sketchDocument.getSymbolMaster(entry.symbolID);
+
+            return {
+                id: entry.id,
+                symbolID: entry.symbolID,
+                name: entry.name,
+                library: entry.library,
+                instanceCount: entry.instanceCount,
+                swapCount: entry.swapCount,
+                pages: Array.from(entry.pages.values()).sort(byCount),
+                artboards: Array.from(entry.artboards.values()).sort(byCount),
+                overrides: Array.from(entry.overrides.entries())
+                    .map(([overrideName, seen]) => ({
+                        overrideName,
+                        ...describeOverrideTarget(
+                            overrideName,
+                            master,
+                            sketchDocument,
+                        ),
+                        count: seen.count,
+                        values: Array.from(seen.values.entries())
+                            .map(([value, count]) => ({ value, count }))
+                            .sort(
+                                (a, b) =>
+                                    b.count - a.count ||
+                                    a.value.localeCompare(b.value),
+                            )
+                            .slice(0, USAGE_MAX_VALUES),
+                    }))
+                    .sort((a, b) => b.count - a.count),
+                instances: options.includeInstances
+                    ? entry.instances
+                    : undefined,
+            };
+        })
+        .sort(
+            (a, b) =>
+                b.instanceCount - a.instanceCount ||
+                a.name.localeCompare(b.name),
+        );
+
+    const unused = components
+        .filter(
+            (component) =>
+                component.instanceCount === 0 && component.swapCount === 0,
+        )
+        .map(({ id, symbolID, name, library }) => ({
+            id,
+            symbolID,
+            name,
+            library,
+        }));
+
+    return {
+        documentId: sketchDocument.id,
+        summary: {
+            masters: components.length,
+            instances: components.reduce(
+                (total, component) => total + component.instanceCount,
+                0,
+            ),
+            used: components.length - unused.length,
+            unused: unused.length,
+        },
+        components,
+        unused,
+        missingMasters: Array.from(missing.entries()).map(
+            ([symbolID, instanceCount]) => ({ symbolID, instanceCount }),
+        ),
+    };
+}
+
+// Helper function to count an instance against a page or artboard
+function countUsage(counts, node) {
+    const id = node.do_objectID;
+    if (!counts.has(id)) {
+        counts.set(id, { id, name: node.name, count: 0 });
+    }
+    counts.get(id).count++;
+}
+
+// Helper function to name the layer and property an override targets.
+// Override names look like "<layerId>[/<nestedLayerId>...]_<property>".
+// Only the first layer is checked for `resolved`, since nested ones may
+// live in a master that another override swapped in.
+function describeOverrideTarget(overrideName, master, sketchDocument) {
+    const match = /^(.*)_([A-Za-z]+)$/.exec(overrideName);
+    if (!match) return { layer: null, property: null, resolved: false };
+
+    const layerNames = [];
+    let resolved = null;
+    let scope = master;
+    for (const layerId of match[1].split("/")) {
+        let found = null;
+        if (scope) {
+            walkLayers(scope, (layer) => {
+                if (!found && layer.do_objectID === layerId) found = layer;
+            });
+        }
+        layerNames.push(found ? found.name : layerId);
+        if (resolved === null) resolved = Boolean(found);
+
+        const nested =
+            found && found._class === "symbolInstance"
+                ? sketchDocument.getSymbolMaster(found.symbolID)
+                : null;
+        scope = nested ? nested.master : null;
+    }
+
+    return {
+        layer: layerNames.join(" / "),
+        property: match[2],
+        resolved: Boolean(resolved),
+    };
+}
+
+// Helper function to summarize an override value as a readable string
+function describeOverrideValue(override, sketchDocument) {
+    const { overrideName, value } = override;
+
+    if (overrideName.endsWith("_symbolID")) {
+        if (!value) return "(hidden)";
+        const swapped = sketchDocument.getSymbolMaster(value);
+        return swapped ? swapped.master.name : value;
+    }
+
+    if (
+        overrideName.endsWith("_layerStyle") ||
+        overrideName.endsWith("_textStyle")
+    ) {
+        const sharedStyle = value ? sketchDocument.getSharedStyle(value) : null;
+        return sharedStyle ? sharedStyle.name : String(value);
+    }
+
+    if (value && typeof value === "object") {
+        return value._ref || JSON.stringify(value);
+    }
+
+    return String(value);
+}
+
+// Variant values that identify a size or state axis in symbol names
+const VARIANT_AXIS_VOCABULARY = {
+    size: [
+        "xxs",
+        "xs",
+        "s",
+        "sm",
+        "small",
+        "m",
+        "md",
+        "medium",
+        "regular",
+        "l",
+        "lg",
+        "large",
+        "xl",
+        "xxl",
+        "2xl",
+        "3xl",
+        "tiny",
+        "huge",
+        "compact",
+    ],
+    state: [
+        "default",
+        "rest",
+        "normal",
+        "enabled",
+        "hover",
+        "hovered",
+        "pressed",
+        "active",
+        "inactive",
+        "focus",
+        "focused",
+        "disabled",
+        "selected",
+        "unselected",
+        "checked",
+        "unchecked",
+        "indeterminate",
+        "on",
+        "off",
+        "error",
+        "success",
+        "warning",
+        "loading",
+        "open",
+        "closed",
+        "expanded",
+        "collapsed",
+    ],
+};
+
+// Missing variant combinations listed per component set
+const MAX_MISSING_COMBINATIONS = 100;
+
+// Function to group slash-named symbol masters into component families with
+// variant axes, missing combinations and layer structure differences
+async function listSketchComponentSets(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const familyDepth = Math.max(parseInt(options.familyDepth) || 1, 1);
+    const matchName = options.name ? createNameMatcher(options.name) : null;
+
+    const families = new Map();
+    const standalone = [];
+
+    const masters = sketchDocument
+        .getSymbolMasters()
+        .filter(({ master }) => !matchName || matchName(master.name))
+        .sort((a, b) => a.master.name.localeCompare(b.master.name));
+
+    for (const { master, library } of masters) {
+        const segments = splitNodePath(master.name);
+        const member = {
+            id: master.do_objectID,
+            symbolID: master.symbolID,
+            name: master.name,
+            library,
+            master,
+            segments: segments.slice(familyDepth),
+        };
+
+        if (segments.length <= familyDepth) {
+            standalone.push(member);
+            continue;
+        }
+
+        const familyName = segments.slice(0, familyDepth).join("/");
+        if (!families.has(familyName)) families.set(familyName, []);
+        families.get(familyName).push(member);
+    }
+
+    return {
+        documentId: sketchDocument.id,
+        familyDepth,
+        sets: Array.from(families.entries()).map(([name, members]) =>
+            describeComponentSet(name, members),
+        ),
+        standalone: standalone.map(({ id, symbolID, name, library }) => ({
+            id,
+            symbolID,
+            name,
+            library,
+        })),
+    };
+}
+
+// Helper function to describe one component family: its variant axes, the
+// combinations nobody drew and how each variant's layers differ from the first
+function describeComponentSet(name, members) {
+    const warnings = [];
+    const axisCount = members.reduce(
+        (most, member) => Math.max(most, member.segments.length),
+        0,
+    );
+
+    if (members.some((member) => member.segments.length !== axisCount)) {
+        warnings.push(
+            "Variant names have different numbers of segments; missing trailing segments are reported as null",
+        );
+    }
+
+    const usedNames = new Set();
+    const axes = Array.from({ length: axisCount }, (value, position) => {
+        const values = [];
+        for (const member of members) {
+            const segment = member.segments[position];
+            if (segment !== undefined && !values.includes(segment)) {
+                values.push(segment);
+            }
+        }
+
+        const baseName = classifyVariantAxis(values);
+        let axisName = baseName;
+        for (let i = 2; usedNames.has(axisName); i++) {
+            axisName = `${baseName}${i}`;
+        }
+        usedNames.add(axisName);
+
+        return { name: axisName, position: position + 1, values };
+    });
+
+    const variants = members.map((member) => ({
+        id: member.id,
+        symbolID: member.symbolID,
+        name: member.name,
+        library: member.library,
+        values: Object.fromEntries(
+            axes.map((axis, position) => [
+                axis.name,
+                member.segments[position] === undefined
+                    ? null
+                    : member.segments[position],
+            ]),
+        ),
+    }));
+
+    // Combinations of axis values that have no master of its own. They are
+    // counted from the axis sizes, and only listed up to the cap, so families
+    // with many axes do not enumerate every combination.
+    const existing = new Set(
+        members
+            .filter((member) => member.segments.length === axes.length)
+            .map((member) => JSON.stringify(member.segments)),
+    );
+    const missing = [];
+    let missingCount = 0;
+    if (axes.length > 1) {
+        missingCount =
+            axes.reduce((total, axis) => total * axis.values.length, 1) -
+            existing.size;
+
+        const segments = [];
+        const combine = (position) => {
+            if (missing.length >= MAX_MISSING_COMBINATIONS) return;
+            if (position === axes.length) {
+                if (!existing.has(JSON.stringify(segments))) {
+                    missing.push(
+                        Object.fromEntries(
+                            axes.map((axis, i) => [axis.name, segments[i]]),
+                        ),
+                    );
+                }
+                return;
+            }
+
+            for (const value of axes[position].values) {
+                segments[position] = value;
+                combine(position + 1);
+                if (missing.length >= MAX_MISSING_COMBINATIONS) return;
+            }
+        };
+        combine(0);
+    }
+
+    return {
+        name,
+        count: members.length,
+        axes,
+        variants,
+        missing,
+        missingCount,
+        structure: compareVariantStructure(members),
+        warnings,
+    };
+}
+
+// Helper function to name a variant axis from the values it takes
+function classifyVariantAxis(values) {
+    for (const [axisName, vocabulary] of Object.entries(
+        VARIANT_AXIS_VOCABULARY,
+    )) {
+        const known = values.filter((value) =>
+            vocabulary.includes(value.toLowerCase()),
+        );
+        if (known.length > 0 && known.length >= values.length / 2) {
+            return axisName;
+        }
+    }
+
+    return "variant";
+}
+
+// Helper function to diff the layer tree of each variant against the first
+// one, by layer name path and class
+function compareVariantStructure(members) {
+    const base = members[0];
+    const baseLayers = collectLayerSignatures(base.master);
+
+    const differences = members
+        .slice(1)
+        .map((member) => {
+            const layers = collectLayerSignatures(member.master);
+            const added = [];
+            const removed = [];
+
+            for (const [signature, count] of layers) {
+                for (let i = baseLayers.get(signature) || 0; i < count; i++) {
+                    added.push(signature);
+                }
+            }
+            for (const [signature, count] of baseLayers) {
+                for (let i = layers.get(signature) || 0; i < count; i++) {
+                    removed.push(signature);
+                }
+            }
+
+            return { id: member.id, name: member.name, added, removed };
+        })
+        .filter(
+            (difference) =>
+                difference.added.length > 0 || difference.removed.length > 0,
+        );
+
+    return {
+        base: { id: base.id, name: base.name },
+        consistent: differences.length === 0,
+        differences,
+    };
+}
+
+// Helper function to count a master's layers as "Group / Layer (class)"
+// signatures, relative to the master
+function collectLayerSignatures(master) {
+    const signatures = new Map();
+
+    const visit = (layer, path) => {
+        for (const child of layer.layers || []) {
+            const childPath = [...path, child.name];
+            const signature = `${childPath.join(" / ")} (${child._class})`;
+            signatures.set(signature, (signatures.get(signature) || 0) + 1);
+            visit(child, childPath);
+        }
+    };
+    visit(master, []);
+
+    return signatures;
+}
+
+// Lint rules with their default severity. Rules can be switched off or given
+// another severity (and options, for off-grid) through lint_document's rules.
+const LINT_RULES = {
+    "detached-style": {
+        severity: "warning",
+        description:
+            "Text layers without a text style, and layers whose shared style is missing or overridden",
+        check: lintDetachedStyle,
+    },
+    "unknown-color": {
+        severity: "warning",
+        description:
+            "Colors that are not in the document's swatches, color assets or shared styles",
+        check: lintUnknownColors,
+    },
+    "off-grid": {
+        severity: "info",
+        description:
+            "Layers positioned off the artboard's square grid (or options.gridSize, default 8)",
+        check: lintOffGrid,
+    },
+    "fractional-frame": {
+        severity: "warning",
+        description: "Layers with fractional position or size",
+        check: lintFractionalFrame,
+    },
+    "default-name": {
+        severity: "info",
+        description: "Layers still carrying a default name like 'Rectangle 12'",
+        check: lintDefaultName,
+    },
+    "hidden-layer": {
+        severity: "warning",
+        description: "Hidden layers left inside artboards",
+        check: lintHiddenLayer,
+    },
+    "mixed-fonts": {
+        severity: "warning",
+        description: "Text layers that mix font families, weights or sizes",
+        check: lintMixedFonts,
+    },
+    "detached-override": {
+        severity: "warning",
+        description:
+            "Symbol instances with a missing master, or overrides the master no longer has or does not allow",
+        check: lintDetachedOverrides,
+    },
+};
+
+const LINT_SEVERITIES = ["error", "warning", "info"];
+
+// Default and maximum number of findings per lint_document page
+const LINT_DEFAULT_LIMIT = 100;
+const LINT_MAX_LIMIT = 1000;
+
+// Names Sketch gives new layers, optionally numbered or copied
+const DEFAULT_LAYER_NAME =
+    /^(Rectangle|Oval|Line|Arrow|Triangle|Star|Polygon|Path|Shape|Combined Shape|Group|Vector|Bitmap|Image|Text|Artboard)( \d+)?( copy( \d+)?)?$/i;
+
+// Function to lint a document, page or layer subtree for consistency problems
+async function lintSketchDocument(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const rules = resolveLintRules(options.rules);
+    const limit = Math.min(
+        Math.max(parseInt(options.limit) || LINT_DEFAULT_LIMIT, 1),
+        LINT_MAX_LIMIT,
+    );
+    const offset = decodeCursor(options.cursor);
+
+    let roots;
+    if (options.nodeId || options.nodePath) {
+        roots = [requireNode(sketchDocument, options)];
+    } else if (options.pageId) {
+        const page = sketchDocument.getPage(options.pageId);
+        if (!page) {
+            throw new SketchError(
+                `Page with ID '${options.pageId}' not found in document`,
+                "lint_document",
+            );
+        }
+        roots = [page];
+    } else {
+        roots = sketchDocument.pages.filter(Boolean);
+    }
+
+    const findings = [];
+    const ctx = {
+        sketchDocument,
+        palette: collectPaletteColors(sketchDocument),
+        hasTextStyles: sketchDocument
+            .getSharedStyles()
+            .some((sharedStyle) => sharedStyle.kind === "text"),
+    };
+
+    const visit = (layer) => {
+        if (layer._class !== "page") {
+            for (const [ruleId, rule] of rules) {
+                rule.check(
+                    layer,
+                    ctx,
+                    (message, details) => {
+                        const id = layer.do_objectID;
+                        const artboard = sketchDocument.getArtboard(id);
+                        findings.push({
+                            rule: ruleId,
+                            severity: rule.severity,
+                            message,
+                            nodeId: id,
+                            name: layer.name,
+                            class: layer._class,
+                            path: sketchDocument.getPath(id),
+                            artboard: artboard ? summarizeNode(artboard) : null,
+                            details: details || undefined,
+                        });
+                    },
+                    rule.options,
+                );
+            }
+        }
+
+        // Hidden layers are reported once, not their whole subtree
+        if (layer.isVisible === false) return;
+        for (const child of layer.layers || []) {
+            visit(child);
+        }
+    };
+    roots.forEach(visit);
+
+    const count = (key) =>
+        findings.reduce((counts, finding) => {
+            counts[finding[key]] = (counts[finding[key]] || 0) + 1;
+            return counts;
+        }, {});
+    const page = findings.slice(offset, offset + limit);
+
+    return {
+        documentId: sketchDocument.id,
+        rules: Object.fromEntries(
+            Array.from(rules.entries()).map(([ruleId, rule]) => [
+                ruleId,
+                rule.severity,
+            ]),
+        ),
+        summary: {
+            total: findings.length,
+            bySeverity: count("severity"),
+            byRule: count("rule"),
+        },
+        count: page.length,
+        findings: page,
+        nextCursor:
+            offset + limit < findings.length
+                ? encodeCursor(offset + limit)
+                : null,
+    };
+}
+
+// Helper function to merge caller rule settings into the defaults. A rule can
+// be set to false, to a severity, or to { severity, ...options }.
+function resolveLintRules(settings = {}) {
+    const rules = new Map();
+
+    for (const ruleId of Object.keys(settings || {})) {
+        if (!LINT_RULES[ruleId]) {
+            throw new SketchError(
+                `Unknown lint rule '${ruleId}', expected one of: ${Object.keys(LINT_RULES).join(", ")}`,
+                "lint_document",
+            );
+        }
+    }
+
+    for (const [ruleId, rule] of Object.entries(LINT_RULES)) {
+        const setting = settings ? settings[ruleId] : undefined;
+        if (setting === false || setting === "off") continue;
+
+        const options =
+            setting && typeof setting === "object" ? { ...setting } : {};
+        const severity =
+            typeof setting === "string"
+                ? setting
+                : options.severity || rule.severity;
+        if (!LINT_SEVERITIES.includes(severity)) {
+            throw new SketchError(
+                `Invalid severity '${severity}' for lint rule '${ruleId}', expected one of: ${LINT_SEVERITIES.join(", ")}`,
+                "lint_document",
+            );
+        }
+
+        rules.set(ruleId, { severity, options, check: rule.check });
+    }
+
+    return rules;
+}
+
+// Helper function to collect the colors a document defines, as hex strings:
+// swatches, color assets, and the fills, borders and text of shared styles
+function collectPaletteColors(sketchDocument) {
+    const palette = new Set();
+    const { document } = sketchDocument;
+
+    for (const swatch of (document.sharedSwatches &&
+        document.sharedSwatches.objects) ||
+        []) {
+        palette.add(colorToHex(swatch.value));
+    }
+
+    for (const asset of (document.assets && document.assets.colorAssets) ||
+        []) {
+        palette.add(colorToHex(asset.color));
+    }
+
+    for (const sharedStyle of sketchDocument.getSharedStyles()) {
+        const style = normalizeStyle(sharedStyle.value);
+        for (const paint of [...style.fills, ...style.borders]) {
+            if (paint.color) palette.add(paint.color);
+        }
+        if (style.typography && style.typography.color) {
+            palette.add(style.typography.color);
+        }
+    }
+
+    return palette;
+}
+
+// Helper function to read a layer's position relative to its artboard
+function getArtboardPosition(layer, sketchDocument) {
+    let x = layer.frame.x;
+    let y = layer.frame.y;
+
+    for (const ancestor of sketchDocument
+        .getAncestors(layer.do_objectID)
+        .reverse()) {
+        if (ARTBOARD_CLASSES.includes(ancestor._class)) break;
+        if (ancestor._class === "page") return null;
+        x += ancestor.frame.x;
+        y += ancestor.frame.y;
+    }
+
+    return { x, y };
+}
+
+// Helper function to tell whether a layer is geometry inside a shape group
+function isShapeGroupPart(layer, sketchDocument) {
+    const parent = sketchDocument.getParent(layer.do_objectID);
+    return Boolean(parent && parent._class === "shapeGroup");
+}
+
+// Lint rule: layers detached from, or drifted away from, shared styles
+function lintDetachedStyle(layer, ctx, report) {
+    if (layer.sharedStyleID) {
+        const sharedStyle = describeSharedStyle(layer, ctx.sketchDocument);
+        if (sharedStyle.missing) {
+            report("References a shared style that no longer exists", {
+                sharedStyleID: layer.sharedStyleID,
+            });
+        } else if (sharedStyle.drifted) {
+            report(
+                `Overrides ${sharedStyle.driftedProperties.join(", ")} of shared style '${sharedStyle.name}'`,
+                {
+                    sharedStyle: sharedStyle.name,
+                    driftedProperties: sharedStyle.driftedProperties,
+                },
+            );
+        }
+    } else if (layer._class === "text" && ctx.hasTextStyles) {
+        report("Text layer does not use a text style");
+    }
+}
+
+// Lint rule: solid fill, border and text colors missing from the palette
+function lintUnknownColors(layer, ctx, report) {
+    if (ctx.palette.size === 0 || CONTAINER_CLASSES.includes(layer._class)) {
+        return;
+    }
+
+    const style = normalizeStyle(layer.style);
+    const colors = [...(style.fills || []), ...(style.borders || [])]
+        .map((paint) => paint.color)
+        .filter(Boolean);
+
+    if (layer._class === "text") {
+        const decoded = decodeAttributedString(layer.attributedString);
+        for (const run of (decoded && decoded.runs) || []) {
+            if (run.color) colors.push(run.color);
+        }
+    }
+
+    const unknown = Array.from(new Set(colors)).filter(
+        (color) => !ctx.palette.has(color),
+    );
+    if (unknown.length > 0) {
+        report(`Uses colors outside the palette: ${unknown.join(", ")}`, {
+            colors: unknown,
+        });
+    }
+}
+
+// Lint rule: layer positions, relative to the artboard, off the square grid
+function lintOffGrid(layer, ctx, report, options) {
+    if (
+        ARTBOARD_CLASSES.includes(layer._class) ||
+        isShapeGroupPart(layer, ctx.sketchDocument)
+    ) {
+        return;
+    }
+
+    const artboard = ctx.sketchDocument.getArtboard(layer.do_objectID);
+    const position = getArtboardPosition(layer, ctx.sketchDocument);
+    if (!artboard || !position) return;
+
+    const gridSize =
+        options.gridSize || (artboard.grid && artboard.grid.gridSize) || 8;
+    const offGrid = (value) =>
+        Math.abs(value / gridSize - Math.round(value / gridSize)) > 0.001;
+
+    if (offGrid(position.x) || offGrid(position.y)) {
+        report(
+            `Positioned at ${round(position.x)}, ${round(position.y)}, off the ${gridSize}px grid`,
+            { x: round(position.x), y: round(position.y), gridSize },
+        );
+    }
+}
+
+// Lint rule: frames with fractional values. Shape group parts are skipped,
+// since vector geometry is rarely pixel aligned.
+function lintFractionalFrame(layer, ctx, report) {
+    if (
+        layer._class === "page" ||
+        isShapeGroupPart(layer, ctx.sketchDocument)
+    ) {
+        return;
+    }
+
+    const fractional = ["x", "y", "width", "height"].filter(
+        (key) =>
+            Math.abs(layer.frame[key] - Math.round(layer.frame[key])) > 0.01,
+    );
+    if (fractional.length > 0) {
+        report(`Has fractional ${fractional.join(", ")}`, {
+            frame: {
+                x: layer.frame.x,
+                y: layer.frame.y,
+                width: layer.frame.width,
+                height: layer.frame.height,
+            },
+        });
+    }
+}
+
+// Lint rule: layers that were never renamed
+function lintDefaultName(layer, ctx, report) {
+    if (DEFAULT_LAYER_NAME.test(layer.name || "")) {
+        report(`Still has the default name '${layer.name}'`);
+    }
+}
+
+// Lint rule: hidden layers inside artboards
+function lintHiddenLayer(layer, ctx, report) {
+    if (
+        layer.isVisible === false &&
+        ctx.sketchDocument.getArtboard(layer.do_objectID)
+    ) {
+        report("Hidden layer left in the artboard");
+    }
+}
+
+// Lint rule: text layers with more than one font in their runs
+function lintMixedFonts(layer, ctx, report) {
+    if (layer._class !== "text") return;
+
+    const decoded = decodeAttributedString(layer.attributedString);
+    const fonts = Array.from(
+        new Set(
+            ((decoded && decoded.runs) || [])
+                .filter((run) => run.fontFamily)
+                .map(
+                    (run) =>
+                        `${run.fontFamily} ${run.weight} ${run.fontSize}px`,
+                ),
+        ),
+    );
+
+    if (fonts.length > 1) {
+        report(`Mixes ${fonts.length} fonts: ${fonts.join("; ")}`, { fonts });
+    }
+}
+
+// Lint rule: instances of missing masters, and overrides that target
+// removed layers or properties locked in the master
+function lintDetachedOverrides(layer, ctx, report) {
+    if (layer._class !== "symbolInstance") return;
+
+    const found = ctx.sketchDocument.getSymbolMaster(layer.symbolID);
+    if (!found) {
+        report("Instance of a symbol master that is not in the document", {
+            symbolID: layer.symbolID,
+        });
+        return;
+    }
+
+    const locked = new Set(
+        (found.master.overrideProperties || [])
+            .filter((property) => property.canOverride === false)
+            .map((property) => property.overrideName),
+    );
+    const stale = [];
+    const disallowed = [];
+
+    for (const override of layer.overrideValues || []) {
+        const target = describeOverrideTarget(
+            override.overrideName,
+            found.master,
+            ctx.sketchDocument,
+        );
+        if (!target.resolved) {
+            stale.push(override.overrideName);
+        } else if (locked.has(override.overrideName)) {
+            disallowed.push(override.overrideName);
+        }
+    }
+
+    if (stale.length > 0) {
+        report(
+            `Overrides layers that are no longer in '${found.master.name}'`,
+            { overrideNames: stale },
+        );
+    }
+    if (disallowed.length > 0) {
+        report(
+            `Overrides properties that '${found.master.name}' does not allow`,
+            { overrideNames: disallowed },
+        );
+    }
+}
+
+// WCAG 2.x contrast requirements for normal and large text
+const WCAG_CONTRAST = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 },
+};
+
+// Large text is at least 18pt, or 14pt bold (in CSS pixels)
+const WCAG_LARGE_TEXT_SIZE = 24;
+const WCAG_LARGE_BOLD_TEXT_SIZE = 18.66;
+
+// Minimum tap target size, the names that mark a layer as a button and the
+// layer classes that can be one. Text and shape layers are parts of a button,
+// and symbol masters are checked through their instances.
+const MIN_TAP_TARGET = 44;
+const BUTTON_NAME = /\b(button|btn|cta)\b/i;
+const TAP_TARGET_CLASSES = [
+    "symbolInstance",
+    "group",
+    "MSImmutableHotspotLayer",
+];
+
+// Function to audit text contrast and button tap target sizes
+async function auditSketchAccessibility(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const minTapTarget = options.minTapTarget || MIN_TAP_TARGET;
+
+    let roots;
+    if (options.nodeId || options.nodePath) {
+        roots = [requireNode(sketchDocument, options)];
+    } else if (options.pageId) {
+        const page = sketchDocument.getPage(options.pageId);
+        if (!page) {
+            throw new SketchError(
+                `Page with ID '${options.pageId}' not found in document`,
+                "audit_accessibility",
+            );
+        }
+        roots = [page];
+    } else {
+        roots = sketchDocument.pages.filter(Boolean);
+    }
+
+    // Audit whole artboards, so layers beneath the text are always in view
+    const artboards = new Map();
+    for (const root of roots) {
+        const containing = sketchDocument.getArtboard(root.do_objectID);
+        if (containing) {
+            artboards.set(containing.do_objectID, {
+                artboard: containing,
+                root,
+            });
+            continue;
+        }
+        walkLayers(root, (layer) => {
+            if (ARTBOARD_CLASSES.includes(layer._class)) {
+                artboards.set(layer.do_objectID, {
+                    artboard: layer,
+                    root: layer,
+                });
+            }
+        });
+    }
+
+    const contrast = [];
+    const tapTargets = [];
+
+    for (const { artboard, root } of artboards.values()) {
+        const inScope = new Set();
+        walkLayers(root, (layer) => inScope.add(layer.do_objectID));
+
+        const painted = [];
+        const visit = (layer, opacity, insideTapTarget) => {
+            if (layer.isVisible === false) return;
+            const layerOpacity =
+                opacity *
+                (layer.style && layer.style.contextSettings
+                    ? layer.style.contextSettings.opacity
+                    : 1);
+
+            if (inScope.has(layer.do_objectID)) {
+                if (layer._class === "text") {
+                    const result = auditTextContrast(
+                        layer,
+                        artboard,
+                        painted,
+                        layerOpacity,
+                        sketchDocument,
+                    );
+                    if (result) contrast.push(result);
+                }
+
+                // Layers inside a reported button are part of the same target
+                const tapTarget =
+                    !insideTapTarget &&
+                    auditTapTarget(layer, minTapTarget, sketchDocument);
+                if (tapTarget) {
+                    tapTargets.push(tapTarget);
+                    insideTapTarget = true;
+                }
+            }
+
+            if (layer !== artboard && layer._class !== "group") {
+                painted.push({ layer, opacity: layerOpacity });
+            }
+            // Shape group parts paint as one shape with the group
+            if (layer._class === "shapeGroup") return;
+
+            for (const child of layer.layers || []) {
+                visit(child, layerOpacity, insideTapTarget);
+            }
+        };
+        visit(artboard, 1, false);
+    }
+
+    const failures = contrast.filter(
+        (entry) => entry.ratio !== null && !entry.aa.pass,
+    );
+
+    return {
+        documentId: sketchDocument.id,
+        summary: {
+            textLayers: contrast.length,
+            failingAA: failures.length,
+            failingAAA: contrast.filter(
+                (entry) => entry.ratio !== null && !entry.aaa.pass,
+            ).length,
+            unknownBackground: contrast.filter((entry) => entry.ratio === null)
+                .length,
+            smallTapTargets: tapTargets.length,
+        },
+        contrast: options.failuresOnly
+            ? contrast.filter(
+                  (entry) => entry.ratio === null || !entry.aaa.pass,
+              )
+            : contrast,
+        tapTargets,
+    };
+}
+
+// Helper function to check one text layer against the layers painted beneath
+// it. Each run is checked and the one with the lowest margin is reported.
+function auditTextContrast(layer, artboard, painted, opacity, sketchDocument) {
+    const decoded = decodeAttributedString(layer.attributedString);
+    const style = normalizeStyle(layer.style);
+    const runs = ((decoded && decoded.runs) || [])
+        .filter((run) => run.text && run.text.trim())
+        .map((run) => ({ ...run, color: getEffectiveTextColor(style, run) }))
+        .filter((run) => run.color);
+    if (runs.length === 0) return null;
+
+    const id = layer.do_objectID;
+    const bounds = getArtboardBounds(layer, sketchDocument);
+    const background = findTextBackground(
+        bounds,
+        artboard,
+        painted,
+        sketchDocument,
+    );
+
+    let worst = null;
+    for (const run of runs) {
+        const large =
+            run.fontSize >= WCAG_LARGE_TEXT_SIZE ||
+            (run.fontSize >= WCAG_LARGE_BOLD_TEXT_SIZE && run.weight >= 700);
+        const required = large
+            ? WCAG_CONTRAST.AA.large
+            : WCAG_CONTRAST.AA.normal;
+        const textColor = hexToSketchColor(run.color);
+        textColor.alpha *= opacity;
+
+        const ratio = background.colors
+            ? Math.min(
+                  ...background.colors.map((color) =>
+                      contrastRatio(compositeColor(textColor, color), color),
+                  ),
+              )
+            : null;
+
+        if (
+            !worst ||
+            (ratio !== null &&
+                (worst.ratio === null ||
+                    ratio / required < worst.ratio / worst.required))
+        ) {
+            worst = { run, large, required, ratio };
+        }
+    }
+
+    const { run, large, ratio } = worst;
+    const check = (level) => {
+        const required = WCAG_CONTRAST[level][large ? "large" : "normal"];
+        return { required, pass: ratio === null ? null : ratio >= required };
+    };
+
+    return {
+        nodeId: id,
+        name: layer.name,
+        path: sketchDocument.getPath(id),
+        artboard: summarizeNode(artboard),
+        text:
+            decoded.text.length > 80
+                ? `${decoded.text.slice(0, 79)}…`
+                : decoded.text,
+        fontSize: run.fontSize,
+        weight: run.weight,
+        largeText: large,
+        color: run.color,
+        background: background.colors
+            ? background.colors.map((color) => colorToHex(color))
+            : null,
+        backgroundLayer: background.layer,
+        ratio: ratio === null ? null : Math.round(ratio * 100) / 100,
+        aa: check("AA"),
+        aaa: check("AAA"),
+        warnings: background.warnings,
+    };
+}
+
+// Helper function to work out the colors behind a rectangle of an artboard
+// by compositing, bottom up, the solid and gradient fills of layers that
+// fully cover it. Gradients contribute every stop, so the worst case counts.
+function findTextBackground(bounds, artboard, painted, sketchDocument) {
+    const warnings = [];
+    let colors = [
+        artboard.hasBackgroundColor && artboard.backgroundColor
+            ? { ...artboard.backgroundColor, alpha: 1 }
+            : hexToSketchColor("#ffffff"),
+    ];
+    let backgroundLayer = artboard.hasBackgroundColor
+        ? summarizeNode(artboard)
+        : null;
+    let assumedWhite = !artboard.hasBackgroundColor;
+
+    for (const { layer, opacity } of painted) {
+        if (layer._class === "text") continue;
+
+        const layerBounds = getArtboardBounds(layer, sketchDocument);
+        if (!layerBounds || !rectanglesIntersect(layerBounds, bounds)) continue;
+
+        if (!rectangleContains(layerBounds, bounds)) {
+            warnings.push(
+                `'${layer.name}' partly covers the text, so the background varies`,
+            );
+            continue;
+        }
+
+        if (layer._class === "symbolInstance") {
+            warnings.push(
+                `Layers of symbol instance '${layer.name}' beneath the text were not considered`,
+            );
+            continue;
+        }
+
+        if (layer._class === "bitmap") {
+            return {
+                colors: null,
+                layer: summarizeNode(layer),
+                warnings: [...warnings, `Text sits on image '${layer.name}'`],
+            };
+        }
+
+        for (const fill of normalizeFills(layer.style && layer.style.fills)) {
+            if (fill.type === "color") {
+                const color = hexToSketchColor(fill.color);
+                color.alpha *= opacity;
+                colors = colors.map((base) => compositeColor(color, base));
+                if (color.alpha >= 1) assumedWhite = false;
+            } else if (fill.type === "gradient" && fill.gradient) {
+                colors = colors.flatMap((base) =>
+                    fill.gradient.stops.map((stop) => {
+                        const color = hexToSketchColor(stop.color);
+                        color.alpha *= opacity;
+                        return compositeColor(color, base);
+                    }),
+                );
+                if (
+                    opacity >= 1 &&
+                    fill.gradient.stops.every(
+                        (stop) => hexToSketchColor(stop.color).alpha >= 1,
+                    )
+                ) {
+                    assumedWhite = false;
+                }
+            } else {
+                return {
+                    colors: null,
+                    layer: summarizeNode(layer),
+                    warnings: [
+                        ...warnings,
+                        `Text sits on an image fill of '${layer.name}'`,
+                    ],
+                };
+            }
+            backgroundLayer = summarizeNode(layer);
+        }
+    }
+
+    if (assumedWhite) {
+        warnings.push("Artboard has no background color, assuming white");
+    }
+
+    return { colors, layer: backgroundLayer, warnings };
+}
+
+// Helper function to flag buttons, by name or by their symbol's name,
+// that are smaller than the minimum tap target
+function auditTapTarget(layer, minTapTarget, sketchDocument) {
+    if (!TAP_TARGET_CLASSES.includes(layer._class)) return null;
+
+    let isButton = BUTTON_NAME.test(layer.name || "");
+    if (!isButton && layer._class === "symbolInstance") {
+        const found = sketchDocument.getSymbolMaster(layer.symbolID);
+        isButton = Boolean(found && BUTTON_NAME.test(found.master.name));
+    }
+    if (!isButton) return null;
+
+    const { width, height } = layer.frame;
+    if (width >= minTapTarget && height >= minTapTarget) return null;
+
+    return {
+        nodeId: layer.do_objectID,
+        name: layer.name,
+        class: layer._class,
+        path: sketchDocument.getPath(layer.do_objectID),
+        size: { width: round(width), height: round(height) },
+        minimum: minTapTarget,
+    };
+}
+
+// Helper function to read a layer's bounds relative to its artboard
+function getArtboardBounds(layer, sketchDocument) {
+    if (ARTBOARD_CLASSES.includes(layer._class)) {
+        return {
+            x: 0,
+            y: 0,
+            width: layer.frame.width,
+            height: layer.frame.height,
+        };
+    }
+
+    const position = getArtboardPosition(layer, sketchDocument);
+    return position
+        ? { ...position, width: layer.frame.width, height: layer.frame.height }
+        : null;
+}
+
+// Helper functions to compare rectangles
+function rectanglesIntersect(a, b) {
+    return (
+        a.x < b.x + b.width &&
+        b.x < a.x + a.width &&
+        a.y < b.y + b.height &&
+        b.y < a.y + a.height
+    );
+}
+
+function rectangleContains(outer, inner) {
+    return (
+        outer.x <= inner.x &&
+        outer.y <= inner.y &&
+        outer.x + outer.width >= inner.x + inner.width &&
+        outer.y + outer.height >= inner.y + inner.height
+    );
+}
+
+// Helper function to paint a Sketch color over an opaque one
+function compositeColor(top, bottom) {
+    const alpha = top.alpha === undefined ? 1 : top.alpha;
+    const mix = (channel) =>
+        top[channel] * alpha + bottom[channel] * (1 - alpha);
+
+    return {
+        red: mix("red"),
+        green: mix("green"),
+        blue: mix("blue"),
+        alpha: 1,
+    };
+}
+
+// Helper function to compute the WCAG contrast ratio of two opaque colors
+function contrastRatio(a, b) {
+    const luminance = (color) => {
+        const [r, g, b] = ["red", "green", "blue"].map((channel) => {
+            const value = color[channel];
+            return value <= 0.03928
+                ? value / 12.92
+                : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [lighter, darker] = [luminance(a), luminance(b)].sort(
+        (x, y) => y - x,
+    );
+
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Function to diff two Sketch documents layer by layer, matching layers by
+// do_objectID. Without a baseUrl the document is compared with the version
+// the cache held before the file last changed.
+async function diffSketchDocuments(url, options = {}) {
+    const current = await getSketchFile(url);
+    let base;
+    let snapshotInfo;
+
+    if (options.baseUrl) {
+        base = await getSketchFile(options.baseUrl);
+    } else {
+        const snapshot = documentCache.getSnapshot(
+            getDocumentCacheKey(resolveDocumentSource(url)),
+        );
+        if (!snapshot) {
+            throw new SketchError(
+                "No earlier version of this document is cached. Pass baseUrl, or load the document with any tool before it changes so the previous version is kept",
+                "diff_documents",
+            );
+        }
+        base = snapshot.data;
+        snapshotInfo = {
+            version: snapshot.version,
+            cachedAt: new Date(snapshot.cachedAt).toISOString(),
+            replacedAt: new Date(snapshot.replacedAt).toISOString(),
+        };
+    }
+
+    const before = indexDocumentLayers(base);
+    const after = indexDocumentLayers(current);
+    const groups = new Map();
+    const changedMasters = new Map();
+    const summary = { added: 0, removed: 0, moved: 0, renamed: 0, changed: 0 };
+
+    // Group entries per page and artboard, taking locations from the
+    // document the layer is found in
+    const record = (kind, id, sketchDocument, entry) => {
+        const located = (sketchDocument === base ? before : after).get(id);
+        const artboard = ARTBOARD_CLASSES.includes(located.layer._class)
+            ? located.layer
+            : sketchDocument.getArtboard(id);
+        const groupKey = `${located.page.do_objectID}/${artboard ? artboard.do_objectID : ""}`;
+
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, {
+                page: summarizeNode(located.page),
+                artboard: artboard ? summarizeNode(artboard) : null,
+                added: [],
+                removed: [],
+                moved: [],
+                changed: [],
+            });
+        }
+        groups.get(groupKey)[kind].push(entry);
+        summary[kind]++;
+
+        if (artboard && artboard._class === "symbolMaster") {
+            const master = changedMasters.get(artboard.do_objectID) || {
+                ...summarizeNode(artboard),
+                symbolID: artboard.symbolID,
+                changes: 0,
+            };
+            master.changes++;
+            changedMasters.set(artboard.do_objectID, master);
+        }
+    };
+    const describe = (id, sketchDocument, layer) => ({
+        id,
+        name: layer.name,
+        class: layer._class,
+        path: sketchDocument.getPath(id),
+    });
+
+    for (const [id, { layer, parentId }] of after) {
+        const previous = before.get(id);
+
+        if (!previous) {
+            // Only the topmost new layer of a new subtree is listed
+            if (parentId && !before.has(parentId)) continue;
+            record("added", id, current, {
+                ...describe(id, current, layer),
+                descendants: countDescendants(layer),
+            });
+            continue;
+        }
+
+        if (previous.parentId !== parentId) {
+            record("moved", id, current, {
+                ...summarizeNode(layer),
+                from: base.getPath(id),
+                to: current.getPath(id),
+            });
+        }
+
+        const changes = compareLayers(previous.layer, layer, base, current);
+        if (Object.keys(changes).length > 0) {
+            if (changes.name) summary.renamed++;
+            record("changed", id, current, {
+                ...describe(id, current, layer),
+                changes,
+            });
+        }
+    }
+
+    for (const [id, { layer, parentId }] of before) {
+        if (after.has(id) || (parentId && !after.has(parentId))) continue;
+        record("removed", id, base, {
+            ...describe(id, base, layer),
+            descendants: countDescendants(layer),
+        });
+    }
+
+    const pages = new Map();
+    for (const group of groups.values()) {
+        const pageId = group.page.id;
+        if (!pages.has(pageId)) {
+            pages.set(pageId, { ...group.page, artboards: [] });
+        }
+        const { page, ...entries } = group;
+        pages.get(pageId).artboards.push(entries);
+    }
+
+    return {
+        base: {
+            documentId: base.id,
+            url: options.baseUrl || url,
+            snapshot: snapshotInfo,
+        },
+        current: { documentId: current.id, url },
+        summary: {
+            ...summary,
+            symbolMastersChanged: changedMasters.size,
+        },
+        pages: Array.from(pages.values()),
+        symbolMasters: Array.from(changedMasters.values()),
+    };
+}
+
+// Helper function to map every layer of a document, pages included, to its
+// page and parent ID
+function indexDocumentLayers(sketchDocument) {
+    const layers = new Map();
+
+    for (const page of sketchDocument.pages) {
+        if (!page) continue;
+        walkLayers(page, (layer) => {
+            const parent = sketchDocument.getParent(layer.do_objectID);
+            layers.set(layer.do_objectID, {
+                layer,
+                page,
+                parentId: parent ? parent.do_objectID : null,
+            });
+        });
+    }
+
+    return layers;
+}
+
+// Helper function to count the layers below a layer
+function countDescendants(layer) {
+    let count = -1;
+    walkLayers(layer, () => count++);
+    return count;
+}
+
+// Helper function to list what changed between two versions of one layer,
+// as { property: { from, to } }
+function compareLayers(before, after, baseDocument, currentDocument) {
+    const changes = {};
+    const compare = (property, from, to) => {
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[property] = { from, to };
+        }
+    };
+    const frame = (layer) => ({
+        x: round(layer.frame.x),
+        y: round(layer.frame.y),
+        width: round(layer.frame.width),
+        height: round(layer.frame.height),
+    });
+    const paints = (style, key) =>
+        (normalizeStyle(style)[key] || []).map((paint) =>
+            paint.thickness
+                ? `${paint.thickness}px ${paint.position} ${describeOutlinePaint(paint)}`
+                : describeOutlinePaint(paint),
+        );
+
+    compare("name", before.name, after.name);
+    if (before._class !== "page") {
+        compare("frame", frame(before), frame(after));
+    }
+    compare("visible", before.isVisible !== false, after.isVisible !== false);
+    compare(
+        "fills",
+        paints(before.style, "fills"),
+        paints(after.style, "fills"),
+    );
+    compare(
+        "borders",
+        paints(before.style, "borders"),
+        paints(after.style, "borders"),
+    );
+    compare(
+        "shadows",
+        [
+            ...(normalizeStyle(before.style).shadows || []),
+            ...(normalizeStyle(before.style).innerShadows || []),
+        ],
+        [
+            ...(normalizeStyle(after.style).shadows || []),
+            ...(normalizeStyle(after.style).innerShadows || []),
+        ],
+    );
+    compare(
+        "opacity",
+        normalizeStyle(before.style).opacity,
+        normalizeStyle(after.style).opacity,
+    );
+
+    if (before._class === "text" || after._class === "text") {
+        const beforeText = decodeAttributedString(before.attributedString);
+        const afterText = decodeAttributedString(after.attributedString);
+        const typography = (decoded) =>
+            ((decoded && decoded.runs) || []).map(
+                ({ range, text, ...attributes }) => attributes,
+            );
+
+        compare(
+            "text",
+            beforeText ? beforeText.text : null,
+            afterText ? afterText.text : null,
+        );
+        compare("typography", typography(beforeText), typography(afterText));
+    }
+
+    if (
+        before._class === "symbolInstance" ||
+        after._class === "symbolInstance"
+    ) {
+        const symbolName = (sketchDocument, symbolID) => {
+            const found = sketchDocument.getSymbolMaster(symbolID);
+            return found ? found.master.name : symbolID || null;
+        };
+        const overrides = (layer) =>
+            Object.fromEntries(
+                (layer.overrideValues || [])
+                    .map((override) => [override.overrideName, override.value])
+                    .sort(([a], [b]) => a.localeCompare(b)),
+            );
+
+        compare(
+            "symbol",
+            symbolName(baseDocument, before.symbolID),
+            symbolName(currentDocument, after.symbolID),
+        );
+        compare("overrides", overrides(before), overrides(after));
+    }
+
+    return changes;
+}
+
+// Function to list shared layer and text styles in a Sketch file
+async function listSketchStyles(url) {
+    try {
+        const sketchData = await getSketchFile(url);
+        const layerStyles = [];
+        const textStyles = [];
+
+        for (const sharedStyle of sketchData.getSharedStyles()) {
+            const entry = {
+                id: sharedStyle.id,
+                name: sharedStyle.name,
+                library: sharedStyle.library,
+                ...addImageUrls(normalizeStyle(sharedStyle.value), sketchData),
+            };
+
+            if (sharedStyle.kind === "text") {
+                textStyles.push(entry);
+            } else {
+                layerStyles.push(entry);
+            }
+        }
+
+        return { layerStyles, textStyles };
+    } catch (error) {
+        console.error("Error listing styles:", error);
+        throw error;
+    }
+}
+
+// Default and maximum page sizes for search results
+const SEARCH_DEFAULT_LIMIT = 50;
+const SEARCH_MAX_LIMIT = 500;
+
+// Function to search layers across all pages
+// Every filter is optional and all given filters must match.
+async function searchSketchLayers(url, filters = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const limit = Math.min(
+        Math.max(parseInt(filters.limit) || SEARCH_DEFAULT_LIMIT, 1),
+        SEARCH_MAX_LIMIT,
+    );
+    const offset = decodeCursor(filters.cursor);
+
+    const matchName = filters.name ? createNameMatcher(filters.name) : null;
+    const matchArtboard = filters.artboard
+        ? createNameMatcher(filters.artboard)
+        : null;
+    const matchStyle = filters.style ? createNameMatcher(filters.style) : null;
+    const matchSymbol = filters.symbol
+        ? createNameMatcher(filters.symbol)
+        : null;
+    const types = filters.type ? [].concat(filters.type) : null;
+    const text = filters.text ? filters.text.toLowerCase() : null;
+    const matchPageName = filters.pageName
+        ? createNameMatcher(filters.pageName)
+        : null;
+    const pagesAndArtboards = sketchDocument.meta.pagesAndArtboards || {};
+
+    const matches = [];
+
+    for (const pageId of sketchDocument.pageIds) {
+        if (filters.pageId && filters.pageId !== pageId) continue;
+
+        // Page names from meta.json let other pages stay unparsed
+        const pageInfo = pagesAndArtboards[pageId];
+        if (matchPageName && pageInfo && !matchPageName(pageInfo.name)) {
+            continue;
+        }
+
+        const page = sketchDocument.getPage(pageId);
+        if (!page) continue;
+        if (matchPageName && !matchPageName(page.name)) continue;
+
+        walkLayers(page, (node) => {
+            if (node === page) return;
+            if (types && !types.includes(node._class)) return;
+            if (matchName && !matchName(node.name)) return;
+
+            const id = node.do_objectID;
+            const artboard = sketchDocument.getArtboard(id);
+
+            if (
+                matchArtboard &&
+                !(
+                    artboard &&
+                    (artboard.do_objectID === filters.artboard ||
+                        matchArtboard(artboard.name))
+                )
+            ) {
+                return;
+            }
+
+            if (text && !getSearchableText(node).toLowerCase().includes(text)) {
+                return;
+            }
+
+            if (matchStyle) {
+                const sharedStyle = node.sharedStyleID
+                    ? sketchDocument.getSharedStyle(node.sharedStyleID)
+                    : null;
+                if (!sharedStyle || !matchStyle(sharedStyle.name)) return;
+            }
+
+            if (matchSymbol) {
+                if (node._class !== "symbolInstance") return;
+
+                const found = sketchDocument.getSymbolMaster(node.symbolID);
+                const matchesSymbol =
+                    node.symbolID === filters.symbol ||
+                    (found &&
+                        (found.master.do_objectID === filters.symbol ||
+                            matchSymbol(found.master.name)));
+                if (!matchesSymbol) return;
+            }
+
+            matches.push({
+                id,
+                name: node.name,
+                class: node._class,
+                path: sketchDocument.getPath(id),
+                page: { id: page.do_objectID, name: page.name },
+                artboard: artboard
+                    ? { id: artboard.do_objectID, name: artboard.name }
+                    : null,
+                frame: {
+                    x: node.frame.x,
+                    y: node.frame.y,
+                    width: node.frame.width,
+                    height: node.frame.height,
+                },
+                visible: node.isVisible !== false,
+            });
+        });
+    }
+
+    const results = matches.slice(offset, offset + limit);
+    const nextOffset = offset + results.length;
+
+    return {
+        total: matches.length,
+        count: results.length,
+        results,
+        nextCursor:
+            nextOffset < matches.length ? encodeCursor(nextOffset) : null,
+    };
+}
+
+// Helper function to visit a node and all of its descendants
+function walkLayers(node, callback) {
+    callback(node);
+
+    for (const layer of node.layers || []) {
+        walkLayers(layer, callback);
+    }
+}
+
+// Helper function to collect the text a layer displays
+// Symbol instances contribute their text overrides.
+function getSearchableText(node) {
+    if (node._class === "text") {
+        const decoded = decodeAttributedString(node.attributedString);
+        return (decoded && decoded.text) || "";
+    }
+
+    if (node._class === "symbolInstance") {
+        return (node.overrideValues || [])
+            .filter((override) =>
+                override.overrideName.endsWith("_stringValue"),
+            )
+            .map((override) => override.value)
+            .join("\n");
+    }
+
+    return "";
+}
+
+// Helper function to build a case-insensitive name matcher
+// Accepts globs ("Button/*", "Icon ?") or regular expressions ("/^cta/i").
+// The g and y flags are dropped, since they make test() stateful.
+function createNameMatcher(pattern) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    let regex;
+
+    try {
+        regex = regexMatch
+            ? new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ""))
+            : new RegExp(
+                  `^${pattern
+                      .split("")
+                      .map((char) => {
+                          if (char === "*") return ".*";
+                          if (char === "?") return ".";
+                          return char.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+                      })
+                      .join("")}$`,
+                  "i",
+              );
+    } catch (error) {
+        throw new SketchError(
+            `Invalid name pattern '${pattern}': ${error.message}`,
+            "search",
+        );
+    }
+
+    return (name) => regex.test(name || "");
+}
+
+// Helper functions to encode pagination offsets as opaque cursors
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return 0;
+
+    try {
+        const { offset } = JSON.parse(
+            Buffer.from(cursor, "base64url").toString("utf8"),
+        );
+        if (Number.isInteger(offset) && offset >= 0) return offset;
+    } catch (error) {
+        // Fall through to the validation error below
+    }
+
+    throw new SketchError(`Invalid cursor: ${cursor}`, "pagination");
+}
+
+// Default token budget for outlines, estimated at 4 characters per token
+const OUTLINE_DEFAULT_TOKEN_BUDGET = 4000;
+const OUTLINE_CHARS_PER_TOKEN = 4;
+
+// Function to summarize a page, artboard or layer as an indented tree
+// with one line per visible layer
+async function getSketchOutline(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const tokenBudget =
+        parseInt(options.tokenBudget) || OUTLINE_DEFAULT_TOKEN_BUDGET;
+
+    let roots;
+    if (options.nodeId || options.nodePath) {
+        roots = [requireNode(sketchDocument, options)];
+    } else if (options.pageId) {
+        const page = sketchDocument.getPage(options.pageId);
+        if (!page) {
+            throw new SketchError(
+                `Page with ID '${options.pageId}' not found in document`,
+                "node_lookup",
+            );
+        }
+        roots = [page];
+    } else {
+        roots = sketchDocument.pages.filter(Boolean);
+    }
+
+    // Flatten the visible tree, remembering how many layers sit below each
+    // entry so collapsed branches can say what they hide
+    const entries = [];
+    let hiddenLayers = 0;
+    const visit = (node, depth) => {
+        if (node.isVisible === false) {
+            hiddenLayers++;
+            return 0;
+        }
+
+        const entry = {
+            depth,
+            line: describeOutlineNode(node, sketchDocument, options),
+            descendants: 0,
+        };
+        entries.push(entry);
+
+        for (const layer of node.layers || []) {
+            entry.descendants += visit(layer, depth + 1);
+        }
+
+        return entry.descendants + 1;
+    };
+    roots.forEach((root) => visit(root, 0));
+
+    const render = (maxDepth) =>
+        entries
+            .filter((entry) => entry.depth <= maxDepth)
+            .map((entry) => {
+                const collapsed =
+                    entry.depth === maxDepth && entry.descendants > 0
+                        ? ` (+${entry.descendants} layers)`
+                        : "";
+                return `${"  ".repeat(entry.depth)}${entry.line}${collapsed}`;
+            });
+    const estimateTokens = (lines) =>
+        Math.ceil(lines.join("\n").length / OUTLINE_CHARS_PER_TOKEN);
+
+    // Collapse the deepest levels first, then cut lines from the end
+    const fullDepth = entries.reduce(
+        (deepest, entry) => Math.max(deepest, entry.depth),
+        0,
+    );
+    let depth = fullDepth;
+    let lines = render(depth);
+    while (depth > 0 && estimateTokens(lines) > tokenBudget) {
+        depth--;
+        lines = render(depth);
+    }
+
+    let omittedLines = 0;
+    while (lines.length > 1 && estimateTokens(lines) > tokenBudget) {
+        lines.pop();
+        omittedLines++;
+    }
+    if (omittedLines > 0) {
+        lines.push(`… ${omittedLines} more lines omitted`);
+    }
+
+    const outline = lines.join("\n");
+
+    return {
+        documentId: sketchDocument.id,
+        roots: roots.map((root) => ({
+            ...summarizeNode(root),
+            path: sketchDocument.getPath(root.do_objectID),
+        })),
+        outline,
+        lineCount: lines.length,
+        estimatedTokens: estimateTokens(lines),
+        tokenBudget,
+        depth,
+        truncated: depth < fullDepth || omittedLines > 0,
+        hiddenLayersOmitted: hiddenLayers,
+    };
+}
+
+// Helper function to describe one layer as a single outline line
+function describeOutlineNode(node, sketchDocument, options = {}) {
+    const parts = [node._class, JSON.stringify(node.name)];
+
+    if (node.frame && node._class !== "page") {
+        const { x, y, width, height } = node.frame;
+        parts.push(
+            `${Math.round(width)}×${Math.round(height)} @${Math.round(x)},${Math.round(y)}`,
+        );
+    }
+
+    const style = normalizeStyle(node.style, node.frame);
+
+    if (ARTBOARD_CLASSES.includes(node._class) && node.hasBackgroundColor) {
+        parts.push(`bg ${colorToHex(node.backgroundColor)}`);
+    }
+
+    if (node._class !== "text") {
+        const fill = (style.fills || [])[0];
+        if (fill) parts.push(`fill ${describeOutlinePaint(fill)}`);
+    }
+
+    const border = (style.borders || [])[0];
+    if (border) {
+        parts.push(
+            `border ${border.thickness} ${describeOutlinePaint(border)}`,
+        );
+    }
+
+    const radii = getCornerRadii(node);
+    if (radii && radii.some((radius) => radius > 0)) {
+        parts.push(
+            `radius ${radii.every((radius) => radius === radii[0]) ? radii[0] : radii.join("/")}`,
+        );
+    }
+
+    if ((style.shadows || []).length > 0) parts.push("shadow");
+    if ((style.innerShadows || []).length > 0) parts.push("inner-shadow");
+    if (style.opacity !== undefined && style.opacity < 1) {
+        parts.push(`opacity ${round(style.opacity)}`);
+    }
+
+    if (node._class === "text") {
+        const decoded = decodeAttributedString(node.attributedString);
+        const run = decoded && decoded.runs[0];
+
+        if (decoded && decoded.text) {
+            const text = decoded.text.replace(/\s+/g, " ").trim();
+            parts.push(
+                JSON.stringify(
+                    text.length > 40 ? `${text.slice(0, 39)}…` : text,
+                ),
+            );
+        }
+        if (run) {
+            parts.push(
+                [run.fontFamily, run.fontSize, run.weight, run.color]
+                    .filter((value) => value !== undefined && value !== null)
+                    .join(" "),
+            );
+        }
+    }
+
+    if (node._class === "symbolInstance") {
+        const found = sketchDocument.getSymbolMaster(node.symbolID);
+        parts.push(`symbol ${found ? found.master.name : "(missing)"}`);
+    }
+
+    if (options.includeIds) {
+        parts.push(`[${node.do_objectID}]`);
+    }
+
+    return parts.join(" ");
+}
+
+// Helper function to shorten a normalized fill or border for an outline
+function describeOutlinePaint(paint) {
+    if (paint.type === "gradient" && paint.gradient) {
+        return `${paint.gradient.type}-gradient ${paint.gradient.stops
+            .map((stop) => stop.color)
+            .join("→")}`;
+    }
+
+    if (paint.type === "image") return "image";
+    return paint.color || paint.type;
+}
+
+// Helper function to read corner radii as [top-left, top-right,
+// bottom-right, bottom-left], or null for layers without corners
+function getCornerRadii(layer) {
+    if (layer._class !== "rectangle") return null;
+
+    const points = layer.points || [];
+    if (points.length !== 4) {
+        const radius = layer.fixedRadius || 0;
+        return [radius, radius, radius, radius];
+    }
+
+    return points.map((point) => point.cornerRadius || layer.fixedRadius || 0);
+}
+
+// Output formats of generate_css
+const CSS_FORMATS = ["css", "module", "react"];
+
+// Function to generate CSS for a layer, and optionally its descendants
+async function generateSketchCss(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const format = options.format || "css";
+
+    if (!CSS_FORMATS.includes(format)) {
+        throw new SketchError(
+            `Unsupported CSS format '${format}', expected one of: ${CSS_FORMATS.join(", ")}`,
+            "generate_css",
+        );
+    }
+
+    const node = requireNode(sketchDocument, options);
+    const rules = [];
+    const warnings = [];
+    const usedNames = new Set();
+
+    const visit = (layer, isRoot) => {
+        if (layer.isVisible === false) return;
+
+        let className = toClassName(layer.name, format);
+        for (let i = 2; usedNames.has(className); i++) {
+            className = toClassName(`${layer.name} ${i}`, format);
+        }
+        usedNames.add(className);
+
+        rules.push({
+            id: layer.do_objectID,
+            name: layer.name,
+            className,
+            declarations: layerToCss(layer, sketchDocument, {
+                isRoot,
+                responsive: options.responsive,
+                warnings,
+            }),
+        });
+
+        // Shape group children are geometry, not boxes of their own
+        if (options.includeChildren && layer._class !== "shapeGroup") {
+            for (const child of layer.layers || []) {
+                visit(child, false);
+            }
+        }
+    };
+    visit(node, true);
+
+    return {
+        nodeId: node.do_objectID,
+        name: node.name,
+        format,
+        code:
+            format === "react"
+                ? formatReactStyles(rules)
+                : formatCssRules(rules),
+        classNames: Object.fromEntries(
+            rules.map((rule) => [rule.id, rule.className]),
+        ),
+        warnings,
+    };
+}
+
+// Helper function to look up the node given by nodeId or nodePath
+function requireNode(sketchDocument, options) {
+    if (options.nodePath && !options.nodeId) {
+        return resolveNodePath(sketchDocument, options.nodePath);
+    }
+
+    const node = options.nodeId
+        ? sketchDocument.findNode(options.nodeId)
+        : null;
+    if (!node) {
+        throw new SketchError(
+            options.nodeId
+                ? `Node with ID '${options.nodeId}' not found in document`
+                : "Either nodeId or nodePath is required",
+            "node_lookup",
+        );
+    }
+
+    return node;
+}
+
+// Helper function to build CSS declarations for one layer, as an ordered
+// list of [property, value] pairs. Child layers are positioned absolutely
+// against their parent, from their resizing constraints when responsive is
+// set; the requested layer itself only gets its size.
+function layerToCss(layer, sketchDocument, { isRoot, responsive, warnings }) {
+    const declarations = [];
+    const add = (property, value) => declarations.push([property, value]);
+    const { frame } = layer;
+    const style = {
+        fills: [],
+        borders: [],
+        shadows: [],
+        innerShadows: [],
+        ...normalizeStyle(layer.style, frame),
+    };
+    const isText = layer._class === "text";
+    addImageUrls(style, sketchDocument);
+
+    const parent = sketchDocument.getParent(layer.do_objectID);
+
+    if (isRoot) {
+        add("width", cssPx(frame.width));
+        add("height", cssPx(frame.height));
+    } else if (responsive && parent && parent._class !== "page") {
+        // Position and size follow the layer's resizing constraints
+        for (const [property, value] of constraintsToCss(layer, parent.frame)) {
+            add(property, value);
+        }
+    } else {
+        add("position", "absolute");
+        add("left", cssPx(frame.x));
+        add("top", cssPx(frame.y));
+        add("width", cssPx(frame.width));
+        add("height", cssPx(frame.height));
+    }
+
+    if (layer.rotation) {
+        add("transform", `rotate(${round(-layer.rotation)}deg)`);
+    }
+
+    if (ARTBOARD_CLASSES.includes(layer._class) && layer.hasBackgroundColor) {
+        add("background-color", colorToHex(layer.backgroundColor));
+    }
+
+    if (layer._class === "bitmap" && layer.image) {
+        add(
+            "background",
+            `url("${getImageUrl(sketchDocument, layer.image._ref)}") center / cover no-repeat`,
+        );
+    } else if (!isText && style.fills.length > 0) {
+        const background = cssBackground(style.fills, layer.name, warnings);
+        if (background) add(background[0], background[1]);
+    }
+
+    // The first border becomes a CSS border, any others become rings
+    const rings = [];
+    style.borders.forEach((border, index) => {
+        const color = border.rgba || "transparent";
+        const width = cssPx(border.thickness);
+
+        if (index > 0) {
+            rings.push(
+                `${border.position === "inside" ? "inset " : ""}0 0 0 ${width} ${color}`,
+            );
+            return;
+        }
+
+        const dashed =
+            layer.style.borderOptions &&
+            (layer.style.borderOptions.dashPattern || []).length > 0;
+        const line = `${width} ${dashed ? "dashed" : "solid"} ${border.type === "gradient" ? "transparent" : color}`;
+
+        if (border.position === "outside") {
+            add("outline", line);
+        } else {
+            add("border", line);
+            add("box-sizing", "border-box");
+        }
+        if (border.type === "gradient") {
+            add("border-image", `${border.css} 1`);
+        }
+    });
+
+    if (layer._class === "oval") {
+        add("border-radius", "50%");
+    } else {
+        const radii = getCornerRadii(layer);
+        if (radii && radii.some((radius) => radius > 0)) {
+            add(
+                "border-radius",
+                radii.every((radius) => radius === radii[0])
+                    ? cssPx(radii[0])
+                    : radii.map(cssPx).join(" "),
+            );
+        }
+    }
+
+    if (isText) {
+        if (style.shadows.length > 0) {
+            add(
+                "text-shadow",
+                style.shadows
+                    .map(
+                        (shadow) =>
+                            `${cssPx(shadow.offsetX)} ${cssPx(shadow.offsetY)} ${cssPx(shadow.blur)} ${shadow.color}`,
+                    )
+                    .join(", "),
+            );
+        }
+    } else {
+        const shadows = [
+            ...style.shadows.map((shadow) => shadow.css),
+            ...style.innerShadows.map((shadow) => shadow.css),
+            ...rings,
+        ];
+        if (shadows.length > 0) add("box-shadow", shadows.join(", "));
+    }
+
+    if (style.opacity !== undefined && style.opacity < 1) {
+        add("opacity", round(style.opacity));
+    }
+    if (style.blendMode === "plus-darker") {
+        warnings.push(
+            `${layer.name}: plus-darker blending has no CSS equivalent`,
+        );
+    } else if (style.blendMode && style.blendMode !== "normal") {
+        add("mix-blend-mode", style.blendMode);
+    }
+
+    if (style.blur) {
+        if (style.blur.type === "gaussian") {
+            add("filter", `blur(${cssPx(style.blur.radius)})`);
+        } else if (style.blur.type === "background") {
+            add("backdrop-filter", `blur(${cssPx(style.blur.radius)})`);
+        } else {
+            warnings.push(
+                `${layer.name}: ${style.blur.type} blur has no CSS equivalent`,
+            );
+        }
+    }
+
+    if (isText) {
+        addTypographyCss(layer, style, add, warnings);
+    }
+
+    return declarations;
+}
+
+// Helper function to turn normalized fills into a background declaration.
+// Sketch paints fills bottom to top, CSS lists background layers top first.
+function cssBackground(fills, layerName, warnings) {
+    const usable = fills.filter((fill) => {
+        if (fill.type === "noise") {
+            warnings.push(`${layerName}: noise fills have no CSS equivalent`);
+            return false;
+        }
+        return true;
+    });
+
+    if (usable.length === 0) return null;
+    if (usable.length === 1 && usable[0].type === "color") {
+        return ["background-color", usable[0].color];
+    }
+
+    const layers = usable
+        .slice()
+        .reverse()
+        .map((fill, index, list) => {
+            if (fill.type === "color") {
+                // Only the bottom layer may be a bare color in CSS
+                return index === list.length - 1
+                    ? fill.rgba
+                    : `linear-gradient(${fill.rgba}, ${fill.rgba})`;
+            }
+            if (fill.type === "gradient") return fill.css;
+            return `url("${fill.imageUrl || fill.image}") center / cover no-repeat`;
+        });
+
+    return ["background", layers.join(", ")];
+}
+
+// Helper function to add typography declarations for a text layer
+function addTypographyCss(layer, style, add, warnings) {
+    const decoded = decodeAttributedString(layer.attributedString);
+    const runs = (decoded && decoded.runs) || [];
+    const typography = runs[0] || style.typography;
+    if (!typography) return;
+
+    const differs = runs.some((run) =>
+        ["fontName", "fontSize", "color", "letterSpacing", "lineHeight"].some(
+            (key) => run[key] !== typography[key],
+        ),
+    );
+    if (differs) {
+        warnings.push(
+            `${layer.name}: text has ${runs.length} typography runs, CSS uses the first one`,
+        );
+    }
+
+    if (typography.fontFamily) {
+        add(
+            "font-family",
+            /^[A-Za-z-]+$/.test(typography.fontFamily)
+                ? typography.fontFamily
+                : `'${typography.fontFamily}'`,
+        );
+    }
+    if (typography.fontSize) add("font-size", cssPx(typography.fontSize));
+    if (typography.weight && typography.weight !== 400) {
+        add("font-weight", typography.weight);
+    }
+    if (typography.italic) add("font-style", "italic");
+    if (typography.lineHeight) {
+        add("line-height", cssPx(typography.lineHeight));
+    }
+    if (typography.letterSpacing) {
+        add("letter-spacing", cssPx(typography.letterSpacing));
+    }
+    if (typography.paragraphAlignment !== "left") {
+        add("text-align", typography.paragraphAlignment);
+    }
+    if (typography.textTransform) {
+        add("text-transform", typography.textTransform);
+    }
+    if (typography.textDecoration) {
+        add("text-decoration", typography.textDecoration);
+    }
+    const color = getEffectiveTextColor(style, typography);
+    if (color) add("color", color);
+
+    // Auto width text layers never wrap
+    if (layer.textBehaviour === 0) add("white-space", "nowrap");
+}
+
+// Helper function to work out the color a text run renders in, from a
+// normalized style. A color fill on a text layer overrides the run's color.
+function getEffectiveTextColor(style, run) {
+    const fill = (style.fills || []).find((item) => item.type === "color");
+    return fill ? fill.color : (run && run.color) || null;
+}
+
+// Helper function to format a length in pixels
+function cssPx(value) {
+    const rounded = round(value || 0);
+    return rounded === 0 ? "0" : `${rounded}px`;
+}
+
+// Helper function to derive a CSS class name from a layer name, kebab-case
+// for plain CSS and camelCase for CSS modules and React style objects
+function toClassName(name, format) {
+    const words = String(name || "")
+        .split(/[^A-Za-z0-9]+/)
+        .filter((word) => word.length > 0)
+        .map((word) => word.toLowerCase());
+
+    if (words.length === 0 || /^[0-9]/.test(words[0])) {
+        words.unshift("layer");
+    }
+
+    if (format === "css") return words.join("-");
+
+    return words
+        .map((word, index) =>
+            index === 0 ? word : word[0].toUpperCase() + word.slice(1),
+        )
+        .join("");
+}
+
+// Helper function to print rules as a style sheet
+function formatCssRules(rules) {
+    return rules
+        .map(
+            (rule) =>
+                `/* ${toCommentText(rule.name)} */\n.${rule.className} {\n${rule.declarations
+                    .map(([property, value]) => `  ${property}: ${value};`)
+                    .join("\n")}\n}`,
+        )
+        .join("\n\n");
+}
+
+// Helper function to make a layer name safe inside a /* */ or // comment
+function toCommentText(name) {
+    return String(name || "")
+        .replace(/\s*[\r\n]+\s*/g, " ")
+        .replace(/\*\//g, "* /");
+}
+
+// Helper function to print rules as a React inline style object. Pixel
+// lengths become numbers, which React treats as pixels, except for
+// line-height where a bare number is a multiplier.
+function formatReactStyles(rules) {
+    const body = rules
+        .map((rule) => {
+            const properties = rule.declarations.map(([property, value]) => {
+                const key = property.replace(/-([a-z])/g, (match, letter) =>
+                    letter.toUpperCase(),
+                );
+                const numeric =
+                    key !== "lineHeight" &&
+                    /^(-?[0-9.]+)(px)?$/.exec(String(value));
+                const literal = numeric
+                    ? numeric[1]
+                    : JSON.stringify(String(value));
+                return `    ${key}: ${literal},`;
+            });
+            return `  // ${toCommentText(rule.name)}\n  ${rule.className}: {\n${properties.join("\n")}\n  },`;
+        })
+        .join("\n");
+
+    return `export const styles = {\n${body}\n};\n`;
+}
+
+// Languages and styling options of generate_component
+const COMPONENT_LANGUAGES = ["jsx", "tsx"];
+const COMPONENT_STYLINGS = ["css-modules", "tailwind"];
+
+// Vector layers exported as SVG assets rather than rebuilt from boxes
+const VECTOR_CLASSES = [
+    "shapeGroup",
+    "shapePath",
+    "triangle",
+    "star",
+    "polygon",
+];
+
+// Function to scaffold a React component from an artboard or symbol master
+async function generateSketchComponent(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const language = options.language || "tsx";
+    const styling = options.styling || "css-modules";
+
+    if (!COMPONENT_LANGUAGES.includes(language)) {
+        throw new SketchError(
+            `Unsupported language '${language}', expected one of: ${COMPONENT_LANGUAGES.join(", ")}`,
+            "generate_component",
+        );
+    }
+    if (!COMPONENT_STYLINGS.includes(styling)) {
+        throw new SketchError(
+            `Unsupported styling '${styling}', expected one of: ${COMPONENT_STYLINGS.join(", ")}`,
+            "generate_component",
+        );
+    }
+
+    const node = requireNode(sketchDocument, options);
+    if (!ARTBOARD_CLASSES.includes(node._class)) {
+        throw new SketchError(
+            `Expected an artboard or symbol master, got a ${node._class}`,
+            "generate_component",
+        );
+    }
+
+    const componentName = toComponentName(node.name);
+    const ctx = {
+        sketchDocument,
+        styling,
+        responsive: options.responsive,
+        props: collectComponentProps(node, sketchDocument),
+        childProps: new Map(),
+        imports: new Map(),
+        assets: [],
+        rules: [],
+        classNames: new Set(),
+        warnings: [],
+    };
+
+    const markup = renderComponentElement(node, ctx, 2, true);
+    const props = ctx.props.list;
+
+    // Default slot contents are child components too
+    for (const prop of props) {
+        if (prop.symbol) useComponentImport(prop.symbol, ctx);
+    }
+
+    const usesSlots = props.some((prop) => prop.type === "ReactNode");
+
+    const importLines = [];
+    if (language === "tsx" && usesSlots) {
+        importLines.push(`import type { ReactNode } from "react";`);
+    }
+    if (styling === "css-modules") {
+        importLines.push(`import styles from "./${componentName}.module.css";`);
+    }
+    for (const name of Array.from(ctx.imports.keys()).sort()) {
+        if (name !== componentName) {
+            importLines.push(`import { ${name} } from "./${name}";`);
+        }
+    }
+
+    const lines = [];
+    if (importLines.length > 0) lines.push(...importLines, "");
+
+    if (language === "tsx" && props.length > 0) {
+        lines.push(`export type ${componentName}Props = {`);
+        for (const prop of props) {
+            lines.push(`  ${prop.name}?: ${prop.type};`);
+        }
+        lines.push("};", "");
+    }
+
+    if (props.length > 0) {
+        lines.push(`export function ${componentName}({`);
+        for (const prop of props) {
+            lines.push(`  ${prop.name} = ${prop.defaultValue},`);
+        }
+        lines.push(language === "tsx" ? `}: ${componentName}Props) {` : "}) {");
+    } else {
+        lines.push(`export function ${componentName}() {`);
+    }
+    lines.push("  return (", markup, "  );", "}", "");
+
+    const files = [
+        {
+            path: `${componentName}.${language}`,
+            content: lines.join("\n"),
+        },
+    ];
+    if (styling === "css-modules") {
+        files.push({
+            path: `${componentName}.module.css`,
+            content: `${formatCssRules(ctx.rules)}\n`,
+        });
+    }
+
+    return {
+        nodeId: node.do_objectID,
+        name: node.name,
+        componentName,
+        language,
+        styling,
+        files,
+        props: props.map((prop) => ({
+            name: prop.name,
+            type: prop.type,
+            defaultValue: prop.defaultValue,
+            layerId: prop.layerId,
+            layerName: prop.layerName,
+        })),
+        dependencies: Array.from(ctx.imports.entries())
+            .filter(([name]) => name !== componentName)
+            .map(([name, dependency]) => ({
+                componentName: name,
+                ...dependency,
+            })),
+        assets: ctx.assets,
+        warnings: ctx.warnings,
+    };
+}
+
+// Identifiers a prop cannot be destructured as: JavaScript and TypeScript
+// reserved words, and the names the generated module itself declares
+const RESERVED_PROP_NAMES = new Set([
+    "arguments",
+    "await",
+    "break",
+    "case",
+    "catch",
+    "class",
+    "const",
+    "continue",
+    "debugger",
+    "default",
+    "delete",
+    "do",
+    "else",
+    "enum",
+    "eval",
+    "export",
+    "extends",
+    "false",
+    "finally",
+    "for",
+    "function",
+    "if",
+    "implements",
+    "import",
+    "in",
+    "instanceof",
+    "interface",
+    "let",
+    "new",
+    "null",
+    "package",
+    "private",
+    "protected",
+    "public",
+    "return",
+    "static",
+    "super",
+    "switch",
+    "this",
+    "throw",
+    "true",
+    "try",
+    "typeof",
+    "undefined",
+    "var",
+    "void",
+    "while",
+    "with",
+    "yield",
+    "styles",
+    "React",
+]);
+
+// Helper function to work out the props of a component. Symbol masters
+// expose the layers listed as overridable in overrideProperties: text
+// becomes a string, nested symbols a ReactNode slot and images a src.
+// Artboards, and masters without overrideProperties, expose their text.
+function collectComponentProps(node, sketchDocument) {
+    const overridable =
+        node._class === "symbolMaster" &&
+        (node.overrideProperties || []).length > 0
+            ? new Set(
+                  node.overrideProperties
+                      .filter((property) => property.canOverride !== false)
+                      .map((property) => property.overrideName),
+              )
+            : null;
+
+    const list = [];
+    const byLayer = new Map();
+    const byOverride = new Map();
+    const names = new Set();
+
+    walkLayers(node, (layer) => {
+        if (layer === node || layer.isVisible === false) return;
+
+        const id = layer.do_objectID;
+        let prop;
+
+        if (layer._class === "text") {
+            const decoded = decodeAttributedString(layer.attributedString);
+            prop = {
+                overrideName: `${id}_stringValue`,
+                type: "string",
+                defaultValue: JSON.stringify((decoded && decoded.text) || ""),
+            };
+        } else if (layer._class === "symbolInstance") {
+            const found = sketchDocument.getSymbolMaster(layer.symbolID);
+            prop = {
+                overrideName: `${id}_symbolID`,
+                type: "ReactNode",
+                symbol: found,
+                defaultValue: found
+                    ? `<${toComponentName(found.master.name)} />`
+                    : "null",
+            };
+        } else if (layer._class === "bitmap" && layer.image) {
+            prop = {
+                overrideName: `${id}_image`,
+                type: "string",
+                defaultValue: JSON.stringify(
+                    getImageUrl(sketchDocument, layer.image._ref),
+                ),
+            };
+        } else {
+            return;
+        }
+
+        const exposed = overridable
+            ? overridable.has(prop.overrideName)
+            : layer._class === "text";
+        if (!exposed) return;
+
+        // Names that clash with reserved words get a "Prop" suffix
+        const propName = (value) => {
+            const candidate = toClassName(value, "module");
+            return RESERVED_PROP_NAMES.has(candidate)
+                ? `${candidate}Prop`
+                : candidate;
+        };
+        let name = propName(layer.name);
+        for (let i = 2; names.has(name); i++) {
+            name = propName(`${layer.name} ${i}`);
+        }
+        names.add(name);
+
+        Object.assign(prop, { name, layerId: id, layerName: layer.name });
+        list.push(prop);
+        byLayer.set(id, prop);
+        byOverride.set(prop.overrideName, prop);
+    });
+
+    return { list, byLayer, byOverride };
+}
+
+// Helper function to render a layer and its children as JSX lines
+function renderComponentElement(layer, ctx, depth, isRoot = false) {
+    if (layer.isVisible === false) return null;
+
+    const indent = "  ".repeat(depth);
+    const { sketchDocument } = ctx;
+    let declarations = layerToCss(layer, sketchDocument, {
+        isRoot,
+        responsive: ctx.responsive,
+        warnings: ctx.warnings,
+    });
+    if (layer._class === "bitmap") {
+        // The image is the element's src, not its background
+        declarations = declarations.filter(
+            ([property]) => property !== "background",
+        );
+    }
+    if (isRoot) {
+        // Children are positioned absolutely against the component root
+        declarations.unshift(["position", "relative"]);
+    }
+
+    let className = toClassName(layer.name, "module");
+    for (let i = 2; ctx.classNames.has(className); i++) {
+        className = toClassName(`${layer.name} ${i}`, "module");
+    }
+    ctx.classNames.add(className);
+
+    let classAttribute;
+    if (ctx.styling === "css-modules") {
+        ctx.rules.push({ name: layer.name, className, declarations });
+        classAttribute = `className={styles.${className}}`;
+    } else {
+        classAttribute = `className="${cssToTailwind(declarations)}"`;
+    }
+
+    const prop = ctx.props.byLayer.get(layer.do_objectID);
+
+    if (layer.hasClippingMask) {
+        ctx.warnings.push(
+            `${layer.name}: masks are not reproduced, export the group with export_svg instead`,
+        );
+    }
+
+    if (layer._class === "text") {
+        const decoded = decodeAttributedString(layer.attributedString);
+        const content = prop
+            ? prop.name
+            : JSON.stringify((decoded && decoded.text) || "");
+        return `${indent}<span ${classAttribute}>{${content}}</span>`;
+    }
+
+    if (layer._class === "symbolInstance") {
+        const content = prop
+            ? `{${prop.name}}`
+            : renderSymbolInstanceElement(layer, ctx);
+        return `${indent}<div ${classAttribute}>${content}</div>`;
+    }
+
+    if (layer._class === "bitmap") {
+        const src = prop
+            ? `{${prop.name}}`
+            : JSON.stringify(
+                  getImageUrl(sketchDocument, layer.image && layer.image._ref),
+              );
+        return `${indent}<img ${classAttribute} src=${src} alt=${JSON.stringify(layer.name)} />`;
+    }
+
+    if (VECTOR_CLASSES.includes(layer._class)) {
+        const assetPath = `./assets/${toFileSlug(layer.name)}.svg`;
+        ctx.assets.push({
+            nodeId: layer.do_objectID,
+            name: layer.name,
+            path: assetPath,
+        });
+        return `${indent}<img ${classAttribute} src=${JSON.stringify(assetPath)} alt="" />`;
+    }
+
+    const children = (layer.layers || [])
+        .map((child) => renderComponentElement(child, ctx, depth + 1))
+        .filter(Boolean);
+
+    if (children.length === 0) {
+        return `${indent}<div ${classAttribute} />`;
+    }
+
+    return [
+        `${indent}<div ${classAttribute}>`,
+        ...children,
+        `${indent}</div>`,
+    ].join("\n");
+}
+
+// Helper function to render a nested symbol instance as a child component,
+// passing its overrides on as props
+function renderSymbolInstanceElement(instance, ctx) {
+    const { sketchDocument } = ctx;
+    const found = sketchDocument.getSymbolMaster(instance.symbolID);
+
+    if (!found) {
+        ctx.warnings.push(
+            `${instance.name}: symbol master ${instance.symbolID} not found`,
+        );
+        return `{/* Missing symbol ${instance.symbolID} */}`;
+    }
+
+    const name = useComponentImport(found, ctx);
+
+    if (!ctx.childProps.has(instance.symbolID)) {
+        ctx.childProps.set(
+            instance.symbolID,
+            collectComponentProps(found.master, sketchDocument),
+        );
+    }
+    const childProps = ctx.childProps.get(instance.symbolID);
+
+    const attributes = [];
+    for (const override of instance.overrideValues || []) {
+        const prop = childProps.byOverride.get(override.overrideName);
+        if (!prop) continue;
+
+        if (prop.type === "ReactNode") {
+            const swapped = sketchDocument.getSymbolMaster(override.value);
+            attributes.push(
+                `${prop.name}={${swapped ? `<${useComponentImport(swapped, ctx)} />` : "null"}}`,
+            );
+        } else if (override.overrideName.endsWith("_image")) {
+            const ref = override.value && override.value._ref;
+            attributes.push(
+                `${prop.name}=${JSON.stringify(getImageUrl(sketchDocument, ref))}`,
+            );
+        } else {
+            attributes.push(`${prop.name}={${JSON.stringify(override.value)}}`);
+        }
+    }
+
+    return `<${[name, ...attributes].join(" ")} />`;
+}
+
+// Helper function to record the import of a child component
+function useComponentImport(found, ctx) {
+    const name = toComponentName(found.master.name);
+
+    if (!ctx.imports.has(name)) {
+        ctx.imports.set(name, {
+            symbolID: found.master.symbolID,
+            masterId: found.master.do_objectID,
+            library: found.library,
+        });
+    }
+
+    return name;
+}
+
+// Helper function to derive a PascalCase component name from a layer name
+// e.g. "Button/Primary/Large" → ButtonPrimaryLarge
+function toComponentName(name) {
+    const words = String(name || "")
+        .split(/[^A-Za-z0-9]+/)
+        .filter((word) => word.length > 0);
+
+    if (words.length === 0 || /^[0-9]/.test(words[0])) {
+        words.unshift("Component");
+    }
+
+    return words.map((word) => word[0].toUpperCase() + word.slice(1)).join("");
+}
+
+// Tailwind utilities for CSS properties, using arbitrary values
+const TAILWIND_PREFIXES = {
+    left: "left",
+    top: "top",
+    width: "w",
+    height: "h",
+    "background-color": "bg",
+    "border-radius": "rounded",
+    opacity: "opacity",
+    "font-size": "text",
+    "font-weight": "font",
+    "line-height": "leading",
+    "letter-spacing": "tracking",
+    color: "text",
+};
+
+// Tailwind utilities for exact property values
+const TAILWIND_KEYWORDS = {
+    "position:absolute": "absolute",
+    "position:relative": "relative",
+    "box-sizing:border-box": "box-border",
+    "font-style:italic": "italic",
+    "text-align:center": "text-center",
+    "text-align:right": "text-right",
+    "text-align:justify": "text-justify",
+    "text-transform:uppercase": "uppercase",
+    "text-transform:lowercase": "lowercase",
+    "text-decoration:underline": "underline",
+    "text-decoration:line-through": "line-through",
+    "white-space:nowrap": "whitespace-nowrap",
+};
+
+// Helper function to turn CSS declarations into Tailwind classes. Anything
+// without a utility falls back to an arbitrary property.
+function cssToTailwind(declarations) {
+    return declarations
+        .map(([property, value]) => {
+            const text = String(value).replace(/"/g, "'");
+            const keyword = TAILWIND_KEYWORDS[`${property}:${text}`];
+            if (keyword) return keyword;
+
+            const prefix = TAILWIND_PREFIXES[property];
+            if (prefix && !text.includes(" ")) {
+                return text === "0" ? `${prefix}-0` : `${prefix}-[${text}]`;
+            }
+
+            return `[${property}:${text.replace(/_/g, "\\_").replace(/\s+/g, "_")}]`;
+        })
+        .join(" ");
+}
+
+// Output formats of export_tokens
+const TOKEN_FORMATS = ["dtcg", "css", "scss", "tailwind"];
+
+// Function to export design tokens from a document, optionally to a file
+async function exportSketchTokens(url, options = {}) {
+    const format = options.format || "dtcg";
+
+    if (!TOKEN_FORMATS.includes(format)) {
+        throw new SketchError(
+            `Unsupported token format '${format}', expected one of: ${TOKEN_FORMATS.join(", ")}`,
+            "export_tokens",
+        );
+    }
+
+    const sketchDocument = await getSketchFile(url);
+    const tokens = collectDesignTokens(sketchDocument);
+    const content = formatDesignTokens(tokens, format);
+    const result = {
+        format,
+        tokenCount: flattenTokens(tokens).length,
+        content,
+    };
+
+    if (options.outputPath) {
+        const outputPath = path.resolve(options.outputPath);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, content);
+        result.outputPath = outputPath;
+    }
+
+    return result;
+}
+
+// Helper function to collect color, typography, shadow, radius and spacing
+// tokens in Design Tokens Community Group shape. Swatches and color assets
+// come before shared styles; the first token with a given name wins.
+function collectDesignTokens(sketchDocument) {
+    const tokens = {
+        color: {},
+        typography: {},
+        shadow: {},
+        radius: {},
+        spacing: {},
+    };
+    const addToken = (group, name, token) => {
+        const keys = toTokenPath(name);
+        let target = tokens[group];
+
+        for (const key of keys.slice(0, -1)) {
+            if (!target[key] || target[key].$value !== undefined) {
+                if (target[key]) return;
+                target[key] = {};
+            }
+            target = target[key];
+        }
+
+        const last = keys[keys.length - 1];
+        if (target[last] === undefined) target[last] = token;
+    };
+
+    const { document } = sketchDocument;
+
+    for (const swatch of (document.sharedSwatches &&
+        document.sharedSwatches.objects) ||
+        []) {
+        addToken("color", swatch.name, {
+            $type: "color",
+            $value: colorToHex(swatch.value),
+        });
+    }
+
+    for (const asset of (document.assets && document.assets.colorAssets) ||
+        []) {
+        if (!asset.name) continue;
+        addToken("color", asset.name, {
+            $type: "color",
+            $value: colorToHex(asset.color),
+        });
+    }
+
+    for (const sharedStyle of sketchDocument.getSharedStyles()) {
+        const style = normalizeStyle(sharedStyle.value);
+
+        if (sharedStyle.kind === "text" && style.typography) {
+            const typography = style.typography;
+            addToken("typography", sharedStyle.name, {
+                $type: "typography",
+                $value: {
+                    fontFamily: typography.fontFamily,
+                    // Styles without a font attribute have no size to export
+                    ...(typography.fontSize && {
+                        fontSize: cssPx(typography.fontSize),
+                    }),
+                    fontWeight: typography.weight,
+                    lineHeight: typography.lineHeight
+                        ? cssPx(typography.lineHeight)
+                        : "normal",
+                    letterSpacing: cssPx(typography.letterSpacing),
+                },
+            });
+            continue;
+        }
+
+        const fill = (style.fills || []).find((item) => item.type === "color");
+        if (fill) {
+            addToken("color", sharedStyle.name, {
+                $type: "color",
+                $value: fill.color,
+            });
+        }
+
+        const shadows = [
+            ...(style.shadows || []),
+            ...(style.innerShadows || []),
+        ];
+        if (shadows.length > 0) {
+            addToken("shadow", sharedStyle.name, {
+                $type: "shadow",
+                $value: shadows.map((shadow) => ({
+                    color: shadow.color,
+                    offsetX: cssPx(shadow.offsetX),
+                    offsetY: cssPx(shadow.offsetY),
+                    blur: cssPx(shadow.blur),
+                    spread: cssPx(shadow.spread),
+                    ...((style.innerShadows || []).includes(shadow) && {
+                        inset: true,
+                    }),
+                })),
+            });
+        }
+    }
+
+    // Radii and spacing have no names in Sketch, so they are keyed by value
+    const radii = new Set();
+    const spacing = new Set();
+
+    for (const page of sketchDocument.pages) {
+        if (!page) continue;
+
+        walkLayers(page, (layer) => {
+            for (const radius of getCornerRadii(layer) || []) {
+                if (radius > 0) radii.add(round(radius));
+            }
+
+            const layout = inferLayout(layer);
+            if (layout) {
+                const { top, right, bottom, left } = layout.padding;
+                [layout.gap, top, right, bottom, left]
+                    .filter((value) => typeof value === "number" && value > 0)
+                    .forEach((value) => spacing.add(round(value)));
+            }
+
+            if (layer.layout && layer.layout.gutterWidth > 0) {
+                spacing.add(round(layer.layout.gutterWidth));
+            }
+        });
+    }
+
+    for (const radius of radii) {
+        addToken("radius", String(radius), {
+            $type: "dimension",
+            $value: cssPx(radius),
+        });
+    }
+    for (const value of spacing) {
+        addToken("spacing", String(value), {
+            $type: "dimension",
+            $value: cssPx(value),
+        });
+    }
+
+    return tokens;
+}
+
+// Helper function to turn a slash-separated name into token path segments
+// e.g. "Primary/500" → ["primary", "500"]
+function toTokenPath(name) {
+    const keys = splitNodePath(name).map(
+        (segment) =>
+            segment
+                .toLowerCase()
+                .replace(/\./g, "_")
+                .replace(/[^a-z0-9_]+/g, "-")
+                .replace(/^-+|-+$/g, "") || "default",
+    );
+
+    return keys.length > 0 ? keys : ["default"];
+}
+
+// Helper function to list tokens as [path, token] pairs in a stable order
+function flattenTokens(tokens, prefix = []) {
+    const flat = [];
+
+    for (const key of Object.keys(tokens).sort(compareTokenKeys)) {
+        const value = tokens[key];
+        if (value && value.$value !== undefined) {
+            flat.push([[...prefix, key], value]);
+        } else if (value && typeof value === "object") {
+            flat.push(...flattenTokens(value, [...prefix, key]));
+        }
+    }
+
+    return flat;
+}
+
+// Helper function to sort token keys, numbers by value and names by text
+function compareTokenKeys(a, b) {
+    const numberA = Number(a.replace("_", "."));
+    const numberB = Number(b.replace("_", "."));
+
+    if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+        return numberA - numberB;
+    }
+
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Helper function to copy a token tree with its keys in a stable order
+function sortTokens(tokens) {
+    if (!tokens || typeof tokens !== "object" || Array.isArray(tokens)) {
+        return tokens;
+    }
+
+    return Object.fromEntries(
+        Object.keys(tokens)
+            .sort(compareTokenKeys)
+            .map((key) => [key, sortTokens(tokens[key])]),
+    );
+}
+
+// Helper function to express a token value as a CSS value
+function tokenToCss(token) {
+    if (token.$type === "shadow") {
+        return token.$value
+            .map(
+                (shadow) =>
+                    `${shadow.inset ? "inset " : ""}${shadow.offsetX} ${shadow.offsetY} ${shadow.blur} ${shadow.spread} ${shadow.color}`,
+            )
+            .join(", ");
+    }
+
+    return String(token.$value);
+}
+
+// Helper function to expand a token into variables, splitting typography
+// into one variable per property
+function tokenToVariables(keys, token) {
+    const name = keys.join("-");
+
+    if (token.$type !== "typography") {
+        return [[name, tokenToCss(token)]];
+    }
+
+    const value = token.$value;
+    return [
+        [`${name}-font-family`, value.fontFamily && `"${value.fontFamily}"`],
+        [`${name}-font-size`, value.fontSize],
+        [`${name}-font-weight`, String(value.fontWeight)],
+        [`${name}-line-height`, value.lineHeight],
+        [`${name}-letter-spacing`, value.letterSpacing],
+    ].filter(([, css]) => css);
+}
+
+// Helper function to serialize tokens in one of the export formats
+function formatDesignTokens(tokens, format) {
+    const header = "Generated from Sketch by sketch-context-mcp. Do not edit.";
+    const flat = flattenTokens(tokens);
+
+    if (format === "dtcg") {
+        const groups = Object.fromEntries(
+            Object.entries(tokens).filter(
+                ([, group]) => Object.keys(group).length > 0,
+            ),
+        );
+        return `${JSON.stringify(sortTokens(groups), null, 2)}\n`;
+    }
+
+    if (format === "css" || format === "scss") {
+        const variables = flat.flatMap(([keys, token]) =>
+            tokenToVariables(keys, token),
+        );
+
+        if (format === "scss") {
+            return `// ${header}\n${variables
+                .map(([name, value]) => `$${name}: ${value};`)
+                .join("\n")}\n`;
+        }
+
+        return `/* ${header} */\n:root {\n${variables
+            .map(([name, value]) => `  --${name}: ${value};`)
+            .join("\n")}\n}\n`;
+    }
+
+    // Tailwind theme extension
+    const theme = {
+        colors: {},
+        fontFamily: {},
+        fontSize: {},
+        boxShadow: {},
+        borderRadius: {},
+        spacing: {},
+    };
+
+    for (const [keys, token] of flat) {
+        const [group, ...rest] = keys;
+        const name = rest.join("-");
+
+        if (group === "color") {
+            let target = theme.colors;
+            for (const key of rest.slice(0, -1)) {
+                if (typeof target[key] === "string") {
+                    target[key] = { DEFAULT: target[key] };
+                }
+                target = target[key] = target[key] || {};
+            }
+            const last = rest[rest.length - 1];
+            if (typeof target[last] === "object") {
+                target[last].DEFAULT = token.$value;
+            } else {
+                target[last] = token.$value;
+            }
+        } else if (group === "typography") {
+            const value = token.$value;
+            // Styles without a font family or size leave those entries out
+            if (value.fontFamily) {
+                theme.fontFamily[toTokenPath(value.fontFamily).join("-")] = [
+                    value.fontFamily,
+                ];
+            }
+            if (value.fontSize) {
+                theme.fontSize[name] = [
+                    value.fontSize,
+                    {
+                        lineHeight: value.lineHeight,
+                        letterSpacing: value.letterSpacing,
+                        fontWeight: String(value.fontWeight),
+                    },
+                ];
+            }
+        } else if (group === "shadow") {
+            theme.boxShadow[name] = tokenToCss(token);
+        } else if (group === "radius") {
+            theme.borderRadius[name] = token.$value;
+        } else if (group === "spacing") {
+            theme.spacing[name] = token.$value;
+        }
+    }
+
+    const extend = Object.fromEntries(
+        Object.entries(theme).filter(
+            ([, values]) => Object.keys(values).length > 0,
+        ),
+    );
+
+    return `// ${header}\nmodule.exports = {\n  theme: {\n    extend: ${JSON.stringify(
+        sortTokens(extend),
+        null,
+        2,
+    )
+        .split("\n")
+        .join("\n    ")},\n  },\n};\n`;
+}
+
+// Helper function to find components in a Sketch object
+function findComponents(obj, components) {
+    if (!obj) return;
+
+    // Check if the object is a component (Symbol master in Sketch)
+    if (obj._class === "symbolMaster") {
+        components.push({
+            id: obj.do_objectID,
+            name: obj.name,
+            type: "component",
+            frame: obj.frame,
+        });
+    }
+
+    // Recursively search for components in layers and other objects
+    if (obj.layers && Array.isArray(obj.layers)) {
+        for (const layer of obj.layers) {
+            findComponents(layer, components);
+        }
+    }
+
+    // Check for artboards, which can contain components
+    if (obj.artboards && obj.artboards.objects) {
+        for (const artboard of obj.artboards.objects) {
+            findComponents(artboard, components);
+        }
+    }
+}
+
+// Helper function to extract document ID from Sketch Cloud URL
+function extractDocumentIdFromUrl(url) {
+    const regex = /sketch\.cloud\/s\/([a-zA-Z0-9]+)/;
+    const match = url.match(regex);
+    return match ? match[1] : null;
+}
+
+// Helper function to stream an asset out of a parsed document
+async function sendDocumentAsset(req, res, entryName) {
+    try {
+        const source = documentCache.getSource(req.params.docId);
+        if (!source) {
+            return res.status(404).json({
+                type: "error",
+                error: `Unknown document: ${req.params.docId}. Load it with a tool call first`,
+            });
+        }
+
+        const sketchDocument = await getSketchFile(source);
+        const asset = sketchDocument.getAsset(entryName);
+        if (!asset) {
+            return res.status(404).json({
+                type: "error",
+                error: `Asset not found in document: ${entryName}`,
+            });
+        }
+
+        res.setHeader("Content-Type", detectContentType(asset, entryName));
+        res.setHeader("Content-Length", asset.length);
+        res.setHeader("Cache-Control", "no-cache");
+        res.end(asset);
+    } catch (error) {
+        logger.error("Failed to serve document asset", {
+            docId: req.params.docId,
+            entryName,
+            error: error.message,
         });
+        res.status(500).json({ type: "error", error: error.message });
+    }
+}
+
+// Helper function to detect an image type from its magic bytes
+function detectContentType(buffer, entryName) {
+    const startsWith = (bytes, offset = 0) =>
+        bytes.every((byte, i) => buffer[offset + i] === byte);
+
+    if (startsWith([0x89, 0x50, 0x4e, 0x47])) return "image/png";
+    if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+    if (startsWith([0x47, 0x49, 0x46, 0x38])) return "image/gif";
+    if (startsWith([0x25, 0x50, 0x44, 0x46])) return "application/pdf";
+    if (startsWith([0x57, 0x45, 0x42, 0x50], 8)) return "image/webp";
+    if (startsWith([0x49, 0x49, 0x2a, 0x00])) return "image/tiff";
+    if (startsWith([0x4d, 0x4d, 0x00, 0x2a])) return "image/tiff";
+    if (startsWith([0x66, 0x74, 0x79, 0x70], 4)) return "image/heic";
+
+    const head = buffer.slice(0, 256).toString("utf8").trimStart();
+    if (head.startsWith("<svg") || head.startsWith("<?xml")) {
+        return "image/svg+xml";
+    }
+
+    const extension = path.extname(entryName).slice(1).toLowerCase();
+    return IMAGE_CONTENT_TYPES[extension] || "application/octet-stream";
+}
+
+// Content types by file extension, used when magic bytes are inconclusive
+const IMAGE_CONTENT_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    pdf: "application/pdf",
+    webp: "image/webp",
+    tiff: "image/tiff",
+    heic: "image/heic",
+    svg: "image/svg+xml",
+};
+
+// Helper function to build the public base URL of this server
+function getServerUrl() {
+    return (
+        process.env.PUBLIC_URL || `http://localhost:${config.port}`
+    ).replace(/\/$/, "");
+}
+
+// Helper function to build a resolvable URL for an image reference
+function getImageUrl(sketchDocument, ref) {
+    if (!sketchDocument.id || !ref) return null;
+
+    const fileName = ref.replace(/^images\//, "");
+    return `${getServerUrl()}/documents/${sketchDocument.id}/images/${encodeURIComponent(fileName)}`;
+}
+
+// Helper function to build the URL of a document's preview image
+function getPreviewUrl(sketchDocument) {
+    return `${getServerUrl()}/documents/${sketchDocument.id}/preview`;
+}
+
+// Function to broadcast messages to all connected SSE clients
+function broadcast(message) {
+    for (const client of clients) {
+        if (client.write) {
+            // SSE client
+            client.write(`data: ${JSON.stringify(message)}\n\n`);
+        } else if (client.readyState === WebSocket.OPEN) {
+            // WebSocket client
+            client.send(JSON.stringify(message));
+        }
+    }
+}
+
+// Check if we should run in stdio mode
+if (config.isStdioMode) {
+    console.log("Initializing Sketch MCP Server in stdio mode...");
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: false,
+    });
+
+    rl.on("line", async (line) => {
+        try {
+            const message = JSON.parse(line);
+            let response;
+
+            if (message.type === "ping") {
+                response = { type: "pong" };
+            } else if (message.type === "get_tools") {
+                response = {
+                    type: "tools",
+                    tools: TOOLS,
+                };
+            } else if (message.type === "execute_tool") {
+                const { tool, params } = message;
+                let result;
+
+                if (tool === "get_file")
+                    result = await getSketchFile(params.url, params.nodeId, {
+                        nodePath: params.nodePath,
+                        expandSymbols: params.expandSymbols,
+                        depth: params.depth,
+                        fields: params.fields,
+                        pageId: params.pageId,
+                        limit: params.limit,
+                        cursor: params.cursor,
+                    });
+                else if (tool === "list_components")
+                    result = await listSketchComponents(params.url);
+                else if (tool === "list_styles")
+                    result = await listSketchStyles(params.url);
+                else if (tool === "get_selection")
+                    result = await getSketchSelection(
+                        params.url,
+                        params.selectionIds,
+                        {
+                            selectionPaths: params.selectionPaths,
+                            expandSymbols: params.expandSymbols,
+                        },
+                    );
+                else if (tool === "render_node")
+                    result = await renderSketchNode(params.url, params.nodeId, {
+                        format: params.format,
+                        scale: params.scale,
+                    });
+                else if (tool === "export_svg")
+                    result = await exportSketchSvg(params.url, {
+                        nodeId: params.nodeId,
+                        outputPath: params.outputPath,
+                        prefix: params.prefix,
+                        outputDir: params.outputDir,
+                    });
+                else if (tool === "search_layers")
+                    result = await searchSketchLayers(params.url, {
+                        name: params.name,
+                        type: params.type,
+                        pageId: params.pageId,
+                        pageName: params.pageName,
+                        artboard: params.artboard,
+                        text: params.text,
+                        style: params.style,
+                        symbol: params.symbol,
+                        limit: params.limit,
+                        cursor: params.cursor,
+                    });
+                else if (tool === "get_outline")
+                    result = await getSketchOutline(params.url, {
+                        nodeId: params.nodeId,
+                        nodePath: params.nodePath,
+                        pageId: params.pageId,
+                        tokenBudget: params.tokenBudget,
+                        includeIds: params.includeIds,
+                    });
+                else if (tool === "generate_css")
+                    result = await generateSketchCss(params.url, {
+                        nodeId: params.nodeId,
+                        nodePath: params.nodePath,
+                        format: params.format,
+                        includeChildren: params.includeChildren,
+                        responsive: params.responsive,
+                    });
+                else if (tool === "generate_component")
+                    result = await generateSketchComponent(params.url, {
+                        nodeId: params.nodeId,
+                        nodePath: params.nodePath,
+                        language: params.language,
+                        styling: params.styling,
+                        responsive: params.responsive,
+                    });
+                else if (tool === "export_tokens")
+                    result = await exportSketchTokens(params.url, {
+                        format: params.format,
+                        outputPath: params.outputPath,
+                    });
+                else if (tool === "get_layout_grid")
+                    result = await getSketchLayoutGrid(params.url, {
+                        nodeId: params.nodeId,
+                        nodePath: params.nodePath,
+                    });
+                else if (tool === "component_usage")
+                    result = await getSketchComponentUsage(params.url, {
+                        includeInstances: params.includeInstances,
+                    });
+                else if (tool === "list_component_sets")
+                    result = await listSketchComponentSets(params.url, {
+                        name: params.name,
+                        familyDepth: params.familyDepth,
+                    });
+                else if (tool === "lint_document")
+                    result = await lintSketchDocument(params.url, {
+                        nodeId: params.nodeId,
+                        nodePath: params.nodePath,
+                        pageId: params.pageId,
+                        rules: params.rules,
+                        limit: params.limit,
+                        cursor: params.cursor,
+                    });
+                else if (tool === "audit_accessibility")
+                    result = await auditSketchAccessibility(params.url, {
+                        nodeId: params.nodeId,
+                        nodePath: params.nodePath,
+                        pageId: params.pageId,
+                        minTapTarget: params.minTapTarget,
+                        failuresOnly: params.failuresOnly,
+                    });
+                else if (tool === "diff_documents")
+                    result = await diffSketchDocuments(params.url, {
+                        baseUrl: params.baseUrl,
+                    });
+                else if (tool === "create_rectangle")
+                    result = await forwardToWebSocketClients(
+                        "create_rectangle",
+                        params,
+                    );
+                else if (tool === "create_text")
+                    result = await forwardToWebSocketClients(
+                        "create_text",
+                        params,
+                    );
+                else throw new Error(`Unknown tool: ${tool}`);
+
+                response = {
+                    type: "tool_result",
+                    id: message.id,
+                    result,
+                };
+            } else {
+                throw new Error(`Unknown message type: ${message.type}`);
+            }
+
+            console.log("Sending response:", response);
+            broadcast(response);
+        } catch (error) {
+            console.error("Error processing message:", error);
+            const response = handleError(error);
+            console.log("Sending error response:", response);
+            broadcast(response);
+        }
+    });
+}
+
+// Add more robust error handling
+function handleError(error) {
+    return {
+        type: "error",
+        error: {
+            message: error.message,
+            code: error.code || "UNKNOWN_ERROR",
+            details: error.details || {},
+            suggestion: getSuggestionForError(error),
+        },
+    };
+}
+
+function getSuggestionForError(error) {
+    // Implement logic to generate a suggestion based on the error
+    return "Please try again later or contact support for assistance.";
+}
+
+// Add implementation for parseLocalSketchFile
+async function parseLocalSketchFile(url) {
+    // If url is a local file path, use it directly
+    // Otherwise, if we have a default local file configured, use that
+    const filePath =
+        url.startsWith("/") || url.includes(":\\") ? url : config.localFilePath;
+
+    if (!filePath) {
+        throw new Error(
+            "No local Sketch file specified. Use --local-file parameter or set LOCAL_SKETCH_PATH environment variable.",
+        );
+    }
+
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Local Sketch file not found: ${filePath}`);
+    }
+
+    // Read the file and parse it
+    const buffer = fs.readFileSync(filePath);
+    return parseSketchBuffer(buffer);
+}
+
+// Maximum depth of nested symbol instances that will be expanded
+const MAX_SYMBOL_DEPTH = 20;
+
+// Helper function to collect symbol masters within a layer tree
+function collectSymbolMasters(obj, callback) {
+    if (!obj) return;
+
+    if (obj._class === "symbolMaster") {
+        callback(obj);
+    }
+
+    for (const layer of obj.layers || []) {
+        collectSymbolMasters(layer, callback);
+    }
+}
+
+// Helper function to expand every symbol instance within a node
+// The original node is left untouched; expanded branches are copies.
+function expandSymbolInstances(node, sketchDocument) {
+    if (node._class === "symbolInstance") {
+        return resolveSymbolInstance(node, sketchDocument, new Map(), []);
+    }
+
+    if (!Array.isArray(node.layers)) {
+        return node;
+    }
+
+    return {
+        ...node,
+        layers: node.layers.map((layer) =>
+            expandSymbolInstances(layer, sketchDocument),
+        ),
+    };
+}
+
+// Resolve a symbol instance against its master
+// inheritedOverrides holds overrides from enclosing instances, already made
+// relative to this instance, and they win over the instance's own values.
+// symbolStack holds the symbolIDs being expanded, to break cycles.
+function resolveSymbolInstance(
+    instance,
+    sketchDocument,
+    inheritedOverrides,
+    symbolStack,
+    symbolID = instance.symbolID,
+) {
+    const overrides = new Map();
+    for (const override of instance.overrideValues || []) {
+        overrides.set(override.overrideName, override.value);
+    }
+    for (const [name, value] of inheritedOverrides) {
+        overrides.set(name, value);
+    }
+
+    const resolved = { ...instance };
+    const found = sketchDocument.getSymbolMaster(symbolID);
+
+    if (!found) {
+        resolved.resolvedSymbol = {
+            symbolID,
+            error: "Symbol master not found",
+        };
+        return resolved;
+    }
+
+    const { master, library } = found;
+    resolved.resolvedSymbol = {
+        symbolID,
+        masterId: master.do_objectID,
+        name: master.name,
+        library,
+        masterFrame: master.frame,
+        appliedOverrides: [],
+    };
+
+    if (symbolStack.includes(symbolID)) {
+        resolved.resolvedSymbol.cycle = true;
+        return resolved;
+    }
+
+    if (symbolStack.length >= MAX_SYMBOL_DEPTH) {
+        resolved.resolvedSymbol.truncated = true;
+        return resolved;
+    }
+
+    const layers = JSON.parse(JSON.stringify(master.layers || []));
+    resolved.layers = applySymbolOverrides(
+        layers,
+        overrides,
+        sketchDocument,
+        [...symbolStack, symbolID],
+        resolved.resolvedSymbol.appliedOverrides,
+    );
+
+    return resolved;
+}
+
+// Helper function to apply overrides to the copied layers of a master
+// Override names are "<layerId>_<property>", or "<instanceId>/<layerId>_..."
+// for layers inside nested symbols; groups never appear in the path.
+function applySymbolOverrides(
+    layers,
+    overrides,
+    sketchDocument,
+    symbolStack,
+    appliedOverrides,
+) {
+    const result = [];
+
+    for (const layer of layers) {
+        const id = layer.do_objectID;
+        const take = (property) => {
+            const name = `${id}_${property}`;
+            if (!overrides.has(name)) return undefined;
+
+            const value = overrides.get(name);
+            appliedOverrides.push({ name, value });
+            return value;
+        };
+
+        if (layer._class === "symbolInstance") {
+            const swappedSymbolID = take("symbolID");
+
+            // An empty swap means the nested symbol was set to "None"
+            if (swappedSymbolID === "") continue;
+
+            const nestedOverrides = new Map();
+            for (const [name, value] of overrides) {
+                if (name.startsWith(`${id}/`)) {
+                    nestedOverrides.set(name.slice(id.length + 1), value);
+                }
+            }
+
+            const nested = resolveSymbolInstance(
+                layer,
+                sketchDocument,
+                nestedOverrides,
+                symbolStack,
+                swappedSymbolID || layer.symbolID,
+            );
+            appliedOverrides.push(
+                ...(nested.resolvedSymbol.appliedOverrides || []).map(
+                    (override) => ({
+                        ...override,
+                        name: `${id}/${override.name}`,
+                    }),
+                ),
+            );
+            result.push(nested);
+            continue;
+        }
+
+        const text = take("stringValue");
+        if (text !== undefined && layer.attributedString) {
+            // Sketch applies the first run's attributes to overridden text
+            const firstRun = (layer.attributedString.attributes || [])[0];
+            layer.attributedString = {
+                ...layer.attributedString,
+                string: text,
+                attributes: firstRun
+                    ? [{ ...firstRun, location: 0, length: text.length }]
+                    : [],
+            };
+        }
+
+        const image = take("image");
+        if (image !== undefined) {
+            if (layer._class === "bitmap") {
+                layer.image = image;
+            } else if (layer.style && Array.isArray(layer.style.fills)) {
+                for (const fill of layer.style.fills) {
+                    if (fill.image) fill.image = image;
+                }
+            }
+        }
+
+        for (const property of ["layerStyle", "textStyle"]) {
+            const styleId = take(property);
+            if (styleId === undefined) continue;
+
+            const sharedStyle = sketchDocument.getSharedStyle(styleId);
+            if (sharedStyle) {
+                layer.style = JSON.parse(JSON.stringify(sharedStyle.value));
+                layer.sharedStyleID = styleId;
+            }
+        }
+
+        if (Array.isArray(layer.layers)) {
+            layer.layers = applySymbolOverrides(
+                layer.layers,
+                overrides,
+                sketchDocument,
+                symbolStack,
+                appliedOverrides,
+            );
+        }
+
+        result.push(layer);
+    }
+
+    return result;
+}
+
+// Sketch enumerations used when describing styles
+const FILL_TYPES = { 0: "color", 1: "gradient", 4: "image", 5: "noise" };
+const GRADIENT_TYPES = { 0: "linear", 1: "radial", 2: "angular" };
+const BORDER_POSITIONS = { 0: "center", 1: "inside", 2: "outside" };
+const TEXT_ALIGNMENTS = { 0: "left", 1: "right", 2: "center", 3: "justify" };
+const TEXT_TRANSFORMS = { 1: "uppercase", 2: "lowercase" };
+const BLUR_TYPES = { 0: "gaussian", 1: "motion", 2: "zoom", 3: "background" };
+const BLEND_MODES = [
+    "normal",
+    "darken",
+    "multiply",
+    "color-burn",
+    "lighten",
+    "screen",
+    "color-dodge",
+    "overlay",
+    "soft-light",
+    "hard-light",
+    "difference",
+    "exclusion",
+    "hue",
+    "saturation",
+    "color",
+    "luminosity",
+    "plus-darker",
+    "plus-lighter",
+];
+
+// Style properties that a shared style controls
+const SHARED_STYLE_PROPERTIES = [
+    "fills",
+    "borders",
+    "borderOptions",
+    "shadows",
+    "innerShadows",
+    "blur",
+    "contextSettings",
+    "textStyle",
+];
+
+// Helper function to normalize a Sketch style into web-friendly values
+// Disabled paints are dropped and each paint's own opacity is folded into
+// its colors; the layer opacity is kept separate, as in CSS.
+function normalizeStyle(style, frame = null) {
+    if (!style) return {};
+
+    const normalized = {
+        fills: normalizeFills(style.fills, frame),
+        borders: enabledItems(style.borders).map((border) => ({
+            ...normalizePaint(border, frame),
+            thickness: border.thickness,
+            position: BORDER_POSITIONS[border.position] || "center",
+        })),
+        shadows: enabledItems(style.shadows).map((shadow) =>
+            normalizeShadow(shadow, false),
+        ),
+        innerShadows: enabledItems(style.innerShadows).map((shadow) =>
+            normalizeShadow(shadow, true),
+        ),
+        opacity: style.contextSettings ? style.contextSettings.opacity : 1,
+        blendMode: style.contextSettings
+            ? BLEND_MODES[style.contextSettings.blendMode] || "normal"
+            : "normal",
+    };
+
+    if (style.blur && style.blur.isEnabled) {
+        normalized.blur = {
+            type: BLUR_TYPES[style.blur.type] || "gaussian",
+            radius: style.blur.radius,
+        };
+    }
+
+    if (style.textStyle) {
+        normalized.typography = decodeTextAttributes(
+            style.textStyle.encodedAttributes,
+        );
+    }
+
+    return normalized;
+}
+
+// Helper function to normalize a list of fills, dropping disabled ones
+function normalizeFills(fills, frame = null) {
+    return enabledItems(fills).map((fill) => normalizePaint(fill, frame));
+}
+
+// Helper function to keep only paints that are switched on
+function enabledItems(items) {
+    return (items || []).filter((item) => item.isEnabled !== false);
+}
+
+// Helper function to normalize a fill or border paint
+function normalizePaint(paint, frame = null) {
+    const opacity = paint.contextSettings ? paint.contextSettings.opacity : 1;
+    const normalized = {
+        type: FILL_TYPES[paint.fillType] || "color",
+        blendMode: paint.contextSettings
+            ? BLEND_MODES[paint.contextSettings.blendMode] || "normal"
+            : "normal",
+    };
+
+    if (normalized.type === "color") {
+        normalized.color = colorToHex(paint.color, opacity);
+        normalized.rgba = colorToRgba(paint.color, opacity);
+    } else if (normalized.type === "gradient" && paint.gradient) {
+        normalized.gradient = {
+            type: GRADIENT_TYPES[paint.gradient.gradientType] || "linear",
+            stops: (paint.gradient.stops || []).map((stop) => ({
+                position: stop.position,
+                color: colorToHex(stop.color, opacity),
+            })),
+        };
+        normalized.css = gradientToCss(paint.gradient, opacity, frame);
+    } else if (normalized.type === "image" && paint.image) {
+        normalized.image = paint.image._ref;
+        normalized.opacity = opacity;
+    }
+
+    return normalized;
+}
+
+// Helper function to normalize an outer or inner shadow
+function normalizeShadow(shadow, inset) {
+    const opacity = shadow.contextSettings ? shadow.contextSettings.opacity : 1;
+    const rgba = colorToRgba(shadow.color, opacity);
+
+    return {
+        color: colorToHex(shadow.color, opacity),
+        offsetX: shadow.offsetX,
+        offsetY: shadow.offsetY,
+        blur: shadow.blurRadius,
+        spread: shadow.spread,
+        css: `${inset ? "inset " : ""}${shadow.offsetX}px ${shadow.offsetY}px ${shadow.blurRadius}px ${shadow.spread}px ${rgba}`,
+    };
+}
+
+// Helper function to convert a Sketch color to #rrggbb or #rrggbbaa
+function colorToHex(color, opacity = 1) {
+    if (!color) return null;
+
+    const { r, g, b, a } = colorToChannels(color, opacity);
+    const hex = [r, g, b]
+        .map((channel) => channel.toString(16).padStart(2, "0"))
+        .join("");
+    const alpha =
+        a < 1
+            ? Math.round(a * 255)
+                  .toString(16)
+                  .padStart(2, "0")
+            : "";
+
+    return `#${hex}${alpha}`;
+}
+
+// Helper function to convert a Sketch color to a CSS rgba() string
+function colorToRgba(color, opacity = 1) {
+    if (!color) return null;
+
+    const { r, g, b, a } = colorToChannels(color, opacity);
+    return `rgba(${r}, ${g}, ${b}, ${Math.round(a * 1000) / 1000})`;
+}
+
+// Helper function to turn 0–1 float channels into 0–255 integers
+function colorToChannels(color, opacity = 1) {
+    const toByte = (value) =>
+        Math.round(Math.min(Math.max(value || 0, 0), 1) * 255);
+    const alpha = color.alpha === undefined ? 1 : color.alpha;
+
+    return {
+        r: toByte(color.red),
+        g: toByte(color.green),
+        b: toByte(color.blue),
+        a: Math.min(Math.max(alpha * opacity, 0), 1),
+    };
+}
+
+// Helper function to parse a Sketch point string such as "{0.5, 1}"
+function parseSketchPoint(value) {
+    const match = /\{\s*([-\d.e]+)\s*,\s*([-\d.e]+)\s*\}/i.exec(value || "");
+    return match
+        ? { x: parseFloat(match[1]), y: parseFloat(match[2]) }
+        : { x: 0, y: 0 };
+}
+
+// Helper function to convert a Sketch gradient to a CSS gradient
+// Sketch positions stops between relative from/to points, whereas CSS
+// positions them along a line through the box center, so stops are
+// re-projected onto the CSS gradient line.
+function gradientToCss(gradient, opacity = 1, frame = null) {
+    const width = frame ? frame.width : 1;
+    const height = frame ? frame.height : 1;
+    const from = parseSketchPoint(gradient.from);
+    const to = parseSketchPoint(gradient.to);
+    const stops = gradient.stops || [];
+    const formatStops = (positionOf) =>
+        stops
+            .map(
+                (stop) =>
+                    `${colorToRgba(stop.color, opacity)} ${round(positionOf(stop.position) * 100)}%`,
+            )
+            .join(", ");
+
+    if (GRADIENT_TYPES[gradient.gradientType] === "radial") {
+        const radius = Math.hypot(
+            (to.x - from.x) * width,
+            (to.y - from.y) * height,
+        );
+        const shape = frame ? `circle ${round(radius)}px` : "circle";
+        return `radial-gradient(${shape} at ${round(from.x * 100)}% ${round(from.y * 100)}%, ${formatStops((position) => position)})`;
+    }
+
+    if (GRADIENT_TYPES[gradient.gradientType] === "angular") {
+        return `conic-gradient(from 90deg at 50% 50%, ${formatStops((position) => position)})`;
+    }
+
+    const dx = (to.x - from.x) * width;
+    const dy = (to.y - from.y) * height;
+    const angle = (Math.atan2(dx, -dy) * 180) / Math.PI;
+    const radians = (angle * Math.PI) / 180;
+    const direction = { x: Math.sin(radians), y: -Math.cos(radians) };
+    const lineLength =
+        Math.abs(width * direction.x) + Math.abs(height * direction.y);
+    const project = (point) =>
+        ((point.x * width - width / 2) * direction.x +
+            (point.y * height - height / 2) * direction.y +
+            lineLength / 2) /
+        lineLength;
+    const start = project(from);
+    const end = project(to);
+
+    return `linear-gradient(${round((angle + 360) % 360)}deg, ${formatStops((position) => start + position * (end - start))})`;
+}
+
+// Helper function to round to two decimal places for output
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Font weight keywords found in PostScript font names, most specific first
+const FONT_WEIGHTS = [
+    ["extralight", 200],
+    ["ultralight", 200],
+    ["hairline", 100],
+    ["thin", 100],
+    ["light", 300],
+    ["semibold", 600],
+    ["demibold", 600],
+    ["extrabold", 800],
+    ["ultrabold", 800],
+    ["bold", 700],
+    ["heavy", 800],
+    ["black", 900],
+    ["medium", 500],
+];
+
+// Helper function to decode a text layer's attributed string
+// Returns the plain text plus one typography run per attribute range.
+function decodeAttributedString(attributedString) {
+    if (!attributedString) return null;
+
+    if (attributedString.archivedAttributedString) {
+        // Pre-Sketch 48 files store an NSKeyedArchiver blob instead
+        return {
+            text: null,
+            runs: [],
+            unsupported: "archivedAttributedString",
+        };
+    }
+
+    const text = attributedString.string || "";
+    const runs = (attributedString.attributes || []).map((attribute) => ({
+        range: { location: attribute.location, length: attribute.length },
+        text: text.substr(attribute.location, attribute.length),
+        ...decodeTextAttributes(attribute.attributes),
+    }));
+
+    return { text, runs };
+}
+
+// Helper function to decode encoded text attributes into typography
+function decodeTextAttributes(attributes) {
+    if (!attributes) return null;
+
+    const font = attributes.MSAttributedStringFontAttribute;
+    const fontName = font && font.attributes ? font.attributes.name : null;
+    const paragraph = attributes.paragraphStyle || {};
+    const typography = {
+        fontName,
+        ...parseFontName(fontName),
+        fontSize: font && font.attributes ? font.attributes.size : null,
+        color: colorToHex(attributes.MSAttributedStringColorAttribute),
+        letterSpacing: attributes.kerning || 0,
+        lineHeight:
+            paragraph.maximumLineHeight || paragraph.minimumLineHeight || null,
+        paragraphAlignment: TEXT_ALIGNMENTS[paragraph.alignment] || "left",
+    };
+
+    if (paragraph.paragraphSpacing) {
+        typography.paragraphSpacing = paragraph.paragraphSpacing;
+    }
+
+    const textTransform =
+        TEXT_TRANSFORMS[attributes.MSAttributedStringTextTransformAttribute];
+    if (textTransform) {
+        typography.textTransform = textTransform;
+    }
+
+    if (attributes.underlineStyle) {
+        typography.textDecoration = "underline";
+    } else if (attributes.strikethroughStyle) {
+        typography.textDecoration = "line-through";
+    }
+
+    return typography;
+}
+
+// Helper function to derive family, weight and style from a PostScript name
+// e.g. "Inter-SemiBoldItalic" → Inter, 600, italic
+function parseFontName(fontName) {
+    if (!fontName) {
+        return { fontFamily: null, weight: 400, italic: false };
+    }
+
+    const separator = fontName.indexOf("-");
+    const family = separator > 0 ? fontName.slice(0, separator) : fontName;
+    const variant = (separator > 0 ? fontName.slice(separator + 1) : "")
+        .toLowerCase()
+        .replace(/[\s_]/g, "");
+    const match = FONT_WEIGHTS.find(([keyword]) => variant.includes(keyword));
+
+    return {
+        fontFamily: family,
+        weight: match ? match[1] : 400,
+        italic: variant.includes("italic") || variant.includes("oblique"),
+    };
+}
+
+// Helper function to describe a layer's shared style and detect drift
+function describeSharedStyle(node, sketchDocument) {
+    if (!node.sharedStyleID) return null;
+
+    const sharedStyle = sketchDocument.getSharedStyle(node.sharedStyleID);
+    if (!sharedStyle) {
+        return { id: node.sharedStyleID, missing: true };
+    }
+
+    const driftedProperties = SHARED_STYLE_PROPERTIES.filter(
+        (property) =>
+            comparableStyleValue(node.style && node.style[property]) !==
+            comparableStyleValue(sharedStyle.value[property]),
+    );
+
+    return {
+        id: sharedStyle.id,
+        name: sharedStyle.name,
+        kind: sharedStyle.kind,
+        library: sharedStyle.library,
+        drifted: driftedProperties.length > 0,
+        driftedProperties,
+    };
+}
+
+// Helper function to serialize a style value for comparison
+// Object IDs differ between a layer and its shared style, so they are dropped,
+// and a missing list is treated the same as an empty one.
+function comparableStyleValue(value) {
+    if (value === undefined || value === null) return "[]";
+
+    return JSON.stringify(value, (key, item) => {
+        if (key === "do_objectID") return undefined;
+        if (item && typeof item === "object" && !Array.isArray(item)) {
+            return Object.keys(item)
+                .sort()
+                .reduce((sorted, itemKey) => {
+                    sorted[itemKey] = item[itemKey];
+                    return sorted;
+                }, {});
+        }
+        return item;
+    });
+}
+
+// Default and maximum number of top-level layers per get_file page
+const FILE_DEFAULT_LIMIT = 25;
+const FILE_MAX_LIMIT = 500;
+
+// Helper function to check whether get_file should return a trimmed view
+// instead of the full document
+function hasProjectionOptions(options) {
+    return ["depth", "fields", "pageId", "cursor", "limit"].some(
+        (key) => options[key] !== undefined && options[key] !== null,
+    );
+}
+
+// Helper function to build a depth-limited, projected and paginated view of
+// a document. Pages are walked in order and paginated by their top-level
+// layers (usually artboards), so only the pages in the window are parsed.
+function projectSketchDocument(sketchDocument, options) {
+    const projection = createProjection(options);
+    const limit = Math.min(
+        Math.max(parseInt(options.limit) || FILE_DEFAULT_LIMIT, 1),
+        FILE_MAX_LIMIT,
+    );
+    const offset = decodeCursor(options.cursor);
+    const end = offset + limit;
+
+    let pageIds = sketchDocument.pageIds;
+    if (options.pageId) {
+        if (!pageIds.includes(options.pageId)) {
+            throw new SketchError(
+                `Page with ID '${options.pageId}' not found in document`,
+                "node_lookup",
+            );
+        }
+        pageIds = [options.pageId];
+    }
+
+    const pages = [];
+    const trailingPages = [];
+    let position = 0;
+    let hasMore = false;
+
+    for (const pageId of pageIds) {
+        const page = sketchDocument.getPage(pageId);
+        if (!page) continue;
+
+        const layers = page.layers || [];
+
+        if (position >= end) {
+            if (layers.length > 0) {
+                hasMore = true;
+                break;
+            }
+            // Empty pages after the window go in the next window, or in this
+            // one when no layers follow them
+            trailingPages.push({
+                do_objectID: page.do_objectID,
+                name: page.name,
+                _class: page._class,
+                layerCount: 0,
+                layers: [],
+            });
+            continue;
+        }
+
+        const start = Math.max(offset - position, 0);
+        const stop = Math.min(end - position, layers.length);
+
+        if (stop > start || (layers.length === 0 && position >= offset)) {
+            pages.push({
+                do_objectID: page.do_objectID,
+                name: page.name,
+                _class: page._class,
+                layerCount: layers.length,
+                layers: layers
+                    .slice(start, stop)
+                    .map((layer) => projectNode(layer, projection, 1)),
+            });
+        }
+
+        position += layers.length;
+        if (position > end) hasMore = true;
+    }
+
+    if (!hasMore) pages.push(...trailingPages);
+
+    return {
+        documentId: sketchDocument.id,
+        previewUrl: sketchDocument.id
+            ? getPreviewUrl(sketchDocument)
+            : undefined,
+        pages,
+        truncated: hasMore || projection.elided > 0,
+        nextCursor: hasMore ? encodeCursor(end) : null,
+    };
+}
+
+// Helper function to parse the depth and fields options of get_file
+function createProjection(options) {
+    let depth = null;
+    if (options.depth !== undefined && options.depth !== null) {
+        depth = Number(options.depth);
+        if (!Number.isInteger(depth) || depth < 0) {
+            throw new SketchError(
+                `Invalid depth: ${options.depth}, expected a non-negative integer`,
+                "projection",
+            );
+        }
+    }
+
+    let fields = null;
+    if (options.fields) {
+        fields = (
+            Array.isArray(options.fields)
+                ? options.fields
+                : String(options.fields).split(",")
+        )
+            .map((field) => field.trim())
+            .filter((field) => field.length > 0);
+    }
+
+    return { depth, fields, elided: 0 };
+}
+
+// Helper function to copy a node keeping only the projected fields.
+// Children below the depth limit are replaced by their IDs.
+function projectNode(node, projection, level = 0) {
+    const result = { do_objectID: node.do_objectID };
+
+    for (const [key, value] of Object.entries(node)) {
+        if (key === "layers") continue;
+        if (projection.fields && !projection.fields.includes(key)) continue;
+        result[key] = value;
+    }
+
+    if (Array.isArray(node.layers)) {
+        if (
+            projection.depth !== null &&
+            level >= projection.depth &&
+            node.layers.length > 0
+        ) {
+            result.truncated = true;
+            result.elidedChildIds = node.layers.map(
+                (layer) => layer.do_objectID,
+            );
+            projection.elided += node.layers.length;
+        } else {
+            result.layers = node.layers.map((layer) =>
+                projectNode(layer, projection, level + 1),
+            );
+        }
+    }
+
+    return result;
+}
+
+// Helper function to find a node with metadata
+function findNodeWithMetadata(sketchDocument, nodeId) {
+    const node = sketchDocument.findNode(nodeId);
+    if (!node) return null;
+    return node;
+}
+
+// Helper function to resolve a name path to exactly one node
+// Throws with the candidate nodes when the path is ambiguous.
+function resolveNodePath(sketchDocument, nodePath) {
+    const matches = sketchDocument.findNodesByPath(nodePath);
+
+    if (matches.length === 0) {
+        throw new NodePathError(
+            `No layer found at path '${nodePath}'`,
+            nodePath,
+        );
+    }
+
+    if (matches.length > 1) {
+        throw new NodePathError(
+            `Path '${nodePath}' matches ${matches.length} layers, pass one of the candidate IDs instead`,
+            nodePath,
+            describePathCandidates(sketchDocument, matches),
+        );
+    }
+
+    return matches[0];
+}
+
+// Helper function to list path matches with their full breadcrumbs
+function describePathCandidates(sketchDocument, nodes) {
+    return nodes.map((node) => ({
+        ...summarizeNode(node),
+        path: sketchDocument.getPath(node.do_objectID),
+        frame: node.frame
+            ? {
+                  x: node.frame.x,
+                  y: node.frame.y,
+                  width: node.frame.width,
+                  height: node.frame.height,
+              }
+            : null,
+    }));
+}
+
+// Helper function to split a name path into trimmed segments
+// Accepts both "Page/Artboard/Layer" and breadcrumb "Page / Artboard / Layer".
+function splitNodePath(nodePath) {
+    return String(nodePath || "")
+        .split("/")
+        .map((segment) => segment.trim())
+        .filter((segment) => segment.length > 0);
+}
+
+// Helper function to enrich node data with context
+function enrichNodeData(node, sketchDocument) {
+    const id = node.do_objectID;
+    const ancestors = sketchDocument.getAncestors(id);
+    const artboard = sketchDocument.getArtboard(id);
+    const page = ancestors.length > 0 ? ancestors[0] : null;
+
+    return {
+        node: node,
+        type: node._class,
+        metadata: {
+            id: id,
+            name: node.name,
+            class: node._class,
+        },
+        context: {
+            documentId: sketchDocument.id,
+            path: sketchDocument.getPath(id),
+            page: page ? summarizeNode(page) : null,
+            artboard: artboard
+                ? { ...summarizeNode(artboard), frame: artboard.frame }
+                : null,
+            ancestors: ancestors.map(summarizeNode),
+            siblings: sketchDocument.getSiblings(id).map(summarizeNode),
+        },
+        style: describeNodeStyle(node, sketchDocument),
+        sharedStyle: describeSharedStyle(node, sketchDocument),
+        text:
+            node._class === "text"
+                ? decodeAttributedString(node.attributedString)
+                : undefined,
+        constraints: describeConstraints(node, sketchDocument),
+        layout: inferLayout(node),
+        descendantLayouts: collectDescendantLayouts(node),
+        layoutGrid: describeLayoutGrid(node),
+    };
+}
+
+// Helper function to normalize a node's style, including artboard backgrounds
+// and resolvable URLs for bitmap layers and image fills
+function describeNodeStyle(node, sketchDocument) {
+    const style = normalizeStyle(node.style, node.frame);
+    addImageUrls(style, sketchDocument);
+
+    if (ARTBOARD_CLASSES.includes(node._class) && node.hasBackgroundColor) {
+        style.backgroundColor = colorToHex(node.backgroundColor);
     }
-});
 
-// Forward a command to all connected WebSocket clients
-async function forwardToWebSocketClients(command, params) {
-    return new Promise((resolve, reject) => {
-        if (clients.size === 0) {
-            return reject(new Error("No connected Sketch instances"));
+    if (node._class === "bitmap" && node.image) {
+        style.image = {
+            ref: node.image._ref,
+            url: getImageUrl(sketchDocument, node.image._ref),
+        };
+    }
+
+    return style;
+}
+
+// Helper function to attach asset URLs to image fills of a normalized style
+function addImageUrls(style, sketchDocument) {
+    for (const fill of style.fills || []) {
+        if (fill.image) {
+            fill.imageUrl = getImageUrl(sketchDocument, fill.image);
         }
+    }
 
-        const requestId =
-            Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-        let responseReceived = false;
+    return style;
+}
 
-        // Store the request handlers
-        pendingRequests.set(requestId, {
-            resolve,
-            reject,
-            timeout: setTimeout(() => {
-                if (!responseReceived) {
-                    pendingRequests.delete(requestId);
-                    reject(new Error("Request timed out"));
-                }
-            }, 30000),
-        });
+// Helper function to describe a node without its children
+function summarizeNode(node) {
+    return {
+        id: node.do_objectID,
+        name: node.name,
+        class: node._class,
+    };
+}
 
-        // Send to all WebSocket clients in all channels
-        for (const [channelName, channelClients] of channels.entries()) {
-            channelClients.forEach((client) => {
-                if (client.readyState === WebSocket.OPEN) {
-                    client.send(
-                        JSON.stringify({
-                            type: "message",
-                            channel: channelName,
-                            message: {
-                                id: requestId,
-                                command,
-                                params,
-                            },
-                        }),
-                    );
-                }
-            });
+// resizingConstraint bits. A constraint applies when its bit is cleared,
+// so 63 (every bit set) means the layer scales with its parent.
+const RESIZING_CONSTRAINT_BITS = {
+    right: 1,
+    width: 2,
+    left: 4,
+    bottom: 8,
+    height: 16,
+    top: 32,
+};
+
+// Helper function to decode a layer's resizing constraints into pins and
+// fixed sizes. Explicit hasFixed* flags, where present, win over the mask.
+function decodeResizingConstraint(layer) {
+    if (typeof layer.resizingConstraint !== "number") return null;
+
+    const mask = layer.resizingConstraint;
+    const flag = (name, bit) =>
+        typeof layer[name] === "boolean"
+            ? layer[name]
+            : (mask & RESIZING_CONSTRAINT_BITS[bit]) === 0;
+
+    const pins = {
+        left: flag("hasFixedLeft", "left"),
+        right: flag("hasFixedRight", "right"),
+        top: flag("hasFixedTop", "top"),
+        bottom: flag("hasFixedBottom", "bottom"),
+        fixedWidth: flag("hasFixedWidth", "width"),
+        fixedHeight: flag("hasFixedHeight", "height"),
+    };
+
+    return {
+        ...pins,
+        horizontal: describeAxisConstraint(
+            pins.left,
+            pins.right,
+            pins.fixedWidth,
+            ["left", "right"],
+        ),
+        vertical: describeAxisConstraint(
+            pins.top,
+            pins.bottom,
+            pins.fixedHeight,
+            ["top", "bottom"],
+        ),
+        resizingConstraint: mask,
+    };
+}
+
+// Helper function to name how a layer behaves along one axis:
+// pinned to one or both edges, centered, or scaling with its parent
+function describeAxisConstraint(pinStart, pinEnd, fixedSize, [start, end]) {
+    if (pinStart && pinEnd) return `${start}-${end}`;
+    if (pinStart) return start;
+    if (pinEnd) return end;
+    return fixedSize ? "center" : "scale";
+}
+
+// Helper function to describe a node's constraints with matching CSS,
+// for layers that sit inside a group or artboard
+function describeConstraints(node, sketchDocument) {
+    const constraints = decodeResizingConstraint(node);
+    const parent = sketchDocument.getParent(node.do_objectID);
+    if (!constraints || !parent || parent._class === "page") return null;
+
+    return {
+        ...constraints,
+        css: Object.fromEntries(constraintsToCss(node, parent.frame)),
+    };
+}
+
+// Helper function to position a layer against its parent so it resizes
+// the way its constraints describe
+function constraintsToCss(layer, parentFrame) {
+    const constraints = decodeResizingConstraint(layer) || {
+        horizontal: "left",
+        vertical: "top",
+        fixedWidth: true,
+        fixedHeight: true,
+    };
+    const declarations = [["position", "absolute"]];
+    const percent = (value) => `${round(value * 100)}%`;
+
+    const axis = (behaviour, fixedSize, start, size, parentSize, names) => {
+        const [startProperty, endProperty, sizeProperty] = names;
+        const end = parentSize - start - size;
+        const sizeValue = fixedSize ? cssPx(size) : percent(size / parentSize);
+
+        if (behaviour === "scale") {
+            declarations.push(
+                [startProperty, percent(start / parentSize)],
+                [sizeProperty, percent(size / parentSize)],
+            );
+        } else if (behaviour === "center") {
+            const offset = round(start - parentSize / 2);
+            declarations.push(
+                [
+                    startProperty,
+                    offset === 0
+                        ? "50%"
+                        : `calc(50% ${offset < 0 ? "-" : "+"} ${cssPx(Math.abs(offset))})`,
+                ],
+                [sizeProperty, sizeValue],
+            );
+        } else if (behaviour === startProperty) {
+            declarations.push(
+                [startProperty, cssPx(start)],
+                [sizeProperty, sizeValue],
+            );
+        } else if (behaviour === endProperty) {
+            declarations.push(
+                [endProperty, cssPx(end)],
+                [sizeProperty, sizeValue],
+            );
+        } else {
+            // Pinned to both edges, so the size follows the parent
+            declarations.push(
+                [startProperty, cssPx(start)],
+                [endProperty, cssPx(end)],
+            );
         }
+    };
+
+    axis(
+        constraints.horizontal,
+        constraints.fixedWidth,
+        layer.frame.x,
+        layer.frame.width,
+        parentFrame.width,
+        ["left", "right", "width"],
+    );
+    axis(
+        constraints.vertical,
+        constraints.fixedHeight,
+        layer.frame.y,
+        layer.frame.height,
+        parentFrame.height,
+        ["top", "bottom", "height"],
+    );
+
+    return declarations;
+}
+
+// Layer classes whose children can be laid out as a stack
+const CONTAINER_CLASSES = ["group", "artboard", "symbolMaster"];
+
+// Stack layout (MSImmutableFlexGroupLayout) enums
+const STACK_JUSTIFY_CONTENT = {
+    0: "start",
+    1: "center",
+    2: "end",
+    3: "space-between",
+};
+const STACK_ALIGN_ITEMS = { 0: "start", 1: "center", 2: "end", 3: "stretch" };
+
+// Smart layout (MSImmutableInferredGroupLayout) anchors
+const SMART_LAYOUT_ANCHORS = { 0: "start", 1: "center", 2: "end" };
+
+// Distance in points under which positions count as equal
+const LAYOUT_TOLERANCE = 1;
+
+// Helper function to infer a flexbox layout for a container. Explicit stack
+// and smart layout metadata wins; otherwise evenly spaced children that do
+// not overlap along one axis are treated as a row or column.
+function inferLayout(node) {
+    if (!CONTAINER_CLASSES.includes(node._class)) return null;
+
+    const children = (node.layers || []).filter(
+        (layer) => layer.isVisible !== false && layer.frame,
+    );
+    const groupLayout = node.groupLayout || {};
+
+    // Layers covering the whole container are backgrounds, not flow items
+    const backgrounds = children.filter((layer) =>
+        isBackgroundLayer(layer, node.frame),
+    );
+    const flow = children.filter((layer) => !backgrounds.includes(layer));
+    const backgroundLayerIds = backgrounds.map((layer) => layer.do_objectID);
+
+    if (groupLayout._class === "MSImmutableFlexGroupLayout") {
+        const direction = groupLayout.flexDirection === 1 ? "column" : "row";
+        const measured = measureFlow(node, flow, direction, false);
+        const gap =
+            typeof groupLayout.allGuttersGap === "number"
+                ? groupLayout.allGuttersGap
+                : measured && measured.gap;
+
+        return describeLayout("stack", direction, {
+            gap,
+            padding: readStackPadding(node) || (measured && measured.padding),
+            alignItems:
+                STACK_ALIGN_ITEMS[groupLayout.alignItems] ||
+                (measured && measured.alignItems),
+            justifyContent:
+                STACK_JUSTIFY_CONTENT[groupLayout.justifyContent] || "start",
+            wrap: Boolean(groupLayout.wrappingEnabled),
+            order: measured ? measured.order : [],
+            backgroundLayerIds,
+        });
+    }
+
+    if (groupLayout._class === "MSImmutableInferredGroupLayout") {
+        const direction = groupLayout.axis === 1 ? "column" : "row";
+        const measured = measureFlow(node, flow, direction, false);
+
+        return describeLayout("smartLayout", direction, {
+            gap: measured && measured.gap,
+            padding:
+                measured &&
+                trimFreeSpace(
+                    measured.padding,
+                    direction,
+                    SMART_LAYOUT_ANCHORS[groupLayout.layoutAnchor] || "start",
+                ),
+            alignItems: measured && measured.alignItems,
+            justifyContent:
+                SMART_LAYOUT_ANCHORS[groupLayout.layoutAnchor] || "start",
+            wrap: false,
+            order: measured ? measured.order : [],
+            backgroundLayerIds,
+        });
+    }
+
+    if (flow.length < 2) return null;
+
+    const row = measureFlow(node, flow, "row", true);
+    const column = measureFlow(node, flow, "column", true);
+
+    // Children placed diagonally fit both axes, so neither is a safe guess
+    if (!row === !column) return null;
+
+    const measured = row || column;
+    const direction = row ? "row" : "column";
+    return describeLayout("geometry", direction, {
+        ...measured,
+        padding: trimFreeSpace(measured.padding, direction, "start"),
+        justifyContent: "start",
+        wrap: false,
+        backgroundLayerIds,
     });
 }
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-    const health = {
-        status: "healthy",
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        connections: {
-            websocket: clients.size,
-            channels: channels.size,
-            pending: pendingRequests.size,
-        },
-        config: {
-            port: config.port,
-            maxFileSize: config.maxFileSize,
-            logLevel: config.logLevel,
-            hasApiKey: !!config.sketchApiKey,
-            hasLocalFile: !!config.localFilePath,
+// Helper function to collect inferred layouts of nested containers by ID
+function collectDescendantLayouts(node) {
+    const layouts = {};
+
+    walkLayers(node, (layer) => {
+        if (layer === node) return;
+
+        const layout = inferLayout(layer);
+        if (layout) layouts[layer.do_objectID] = layout;
+    });
+
+    return layouts;
+}
+
+// Helper function to check whether a shape or bitmap fills its container
+function isBackgroundLayer(layer, containerFrame) {
+    if (!SHAPE_CLASSES.includes(layer._class) && layer._class !== "bitmap") {
+        return false;
+    }
+
+    const { x, y, width, height } = layer.frame;
+    return (
+        x <= LAYOUT_TOLERANCE &&
+        y <= LAYOUT_TOLERANCE &&
+        x + width >= containerFrame.width - LAYOUT_TOLERANCE &&
+        y + height >= containerFrame.height - LAYOUT_TOLERANCE
+    );
+}
+
+// Helper function to measure gap, padding and alignment of children laid
+// out along one axis. Returns null when children overlap along that axis,
+// or, with requireEvenGaps, when they are not evenly spaced.
+function measureFlow(node, flow, direction, requireEvenGaps) {
+    if (flow.length === 0) return null;
+
+    const [position, size] =
+        direction === "row" ? ["x", "width"] : ["y", "height"];
+    const [crossPosition, crossSize] =
+        direction === "row" ? ["y", "height"] : ["x", "width"];
+
+    const sorted = flow
+        .slice()
+        .sort((a, b) => a.frame[position] - b.frame[position]);
+    const gaps = [];
+
+    for (let i = 1; i < sorted.length; i++) {
+        const previous = sorted[i - 1].frame;
+        const gap =
+            sorted[i].frame[position] - (previous[position] + previous[size]);
+        if (gap < -LAYOUT_TOLERANCE) return null;
+        gaps.push(gap);
+    }
+
+    const evenGaps =
+        gaps.length === 0 ||
+        Math.max(...gaps) - Math.min(...gaps) <= LAYOUT_TOLERANCE;
+    if (requireEvenGaps && !evenGaps) return null;
+
+    const frames = sorted.map((layer) => layer.frame);
+    const starts = frames.map((frame) => frame[crossPosition]);
+    const ends = frames.map((frame) => frame[crossPosition] + frame[crossSize]);
+    const centers = starts.map((start, i) => (start + ends[i]) / 2);
+    const aligned = (values) =>
+        Math.max(...values) - Math.min(...values) <= LAYOUT_TOLERANCE;
+
+    let alignItems = null;
+    if (aligned(starts)) alignItems = "start";
+    else if (aligned(centers)) alignItems = "center";
+    else if (aligned(ends)) alignItems = "end";
+
+    // Sub-pixel overhangs would otherwise show up as negative padding
+    const inset = (value) => Math.max(0, round(value));
+
+    return {
+        gap: gaps.length === 0 ? 0 : evenGaps ? round(gaps[0]) : null,
+        padding: {
+            top: inset(Math.min(...frames.map((frame) => frame.y))),
+            right: inset(
+                node.frame.width -
+                    Math.max(...frames.map((frame) => frame.x + frame.width)),
+            ),
+            bottom: inset(
+                node.frame.height -
+                    Math.max(...frames.map((frame) => frame.y + frame.height)),
+            ),
+            left: inset(Math.min(...frames.map((frame) => frame.x))),
         },
+        alignItems,
+        order: sorted.map((layer) => layer.do_objectID),
     };
+}
 
-    res.json(health);
-});
+// Helper function to drop the free space a justified stack leaves on the
+// main axis from measured padding, e.g. the space after a start-aligned row
+function trimFreeSpace(padding, direction, justifyContent) {
+    const [start, end] =
+        direction === "row" ? ["left", "right"] : ["top", "bottom"];
+    const trimmed = { ...padding };
 
-// Validation endpoint for configuration
-app.get("/validate", (req, res) => {
-    const validationResults = {
-        timestamp: new Date().toISOString(),
-        configuration: {
-            port: { valid: true, value: config.port },
-            maxFileSize: {
-                valid: true,
-                value: `${config.maxFileSize / 1024 / 1024}MB`,
-            },
-            logLevel: { valid: true, value: config.logLevel },
-        },
-        connectivity: {
-            websocket: clients.size > 0,
-            channels: channels.size > 0,
-        },
-        requirements: {
-            sketchApiKey: {
-                present: !!config.sketchApiKey,
-                required: "Optional for local files, required for Sketch Cloud",
-            },
-            localFile: {
-                present: !!config.localFilePath,
-                valid: config.localFilePath
-                    ? fs.existsSync(config.localFilePath)
-                    : null,
-                path: config.localFilePath,
-            },
-        },
+    if (justifyContent === "start" || justifyContent === "center") {
+        trimmed[end] = 0;
+    }
+    if (justifyContent === "end" || justifyContent === "center") {
+        trimmed[start] = 0;
+    }
+
+    return trimmed;
+}
+
+// Helper function to read explicit stack layout padding from a group
+function readStackPadding(node) {
+    const sides = [
+        "topPadding",
+        "rightPadding",
+        "bottomPadding",
+        "leftPadding",
+    ];
+
+    if (sides.some((side) => typeof node[side] === "number")) {
+        return {
+            top: node.topPadding || 0,
+            right: node.rightPadding || 0,
+            bottom: node.bottomPadding || 0,
+            left: node.leftPadding || 0,
+        };
+    }
+
+    if (
+        typeof node.horizontalPadding === "number" ||
+        typeof node.verticalPadding === "number"
+    ) {
+        return {
+            top: node.verticalPadding || 0,
+            right: node.horizontalPadding || 0,
+            bottom: node.verticalPadding || 0,
+            left: node.horizontalPadding || 0,
+        };
+    }
+
+    return null;
+}
+
+// Helper function to assemble a layout description with matching CSS
+function describeLayout(source, direction, measured) {
+    const padding = measured.padding || {
+        top: 0,
+        right: 0,
+        bottom: 0,
+        left: 0,
     };
+    const flexValue = (value) =>
+        value === "start" || value === "end" ? `flex-${value}` : value;
 
-    // Add warnings if any
-    const warnings = [];
-    if (!config.sketchApiKey && !config.localFilePath) {
-        warnings.push("No Sketch API key or local file configured");
+    const css = {
+        display: "flex",
+        "flex-direction": direction,
+    };
+    if (measured.wrap) css["flex-wrap"] = "wrap";
+    if (measured.gap !== null && measured.gap !== undefined) {
+        css.gap = cssPx(measured.gap);
     }
-    if (clients.size === 0) {
-        warnings.push("No WebSocket clients connected");
+    css.padding = [padding.top, padding.right, padding.bottom, padding.left]
+        .map(cssPx)
+        .join(" ");
+    if (measured.alignItems) {
+        css["align-items"] = flexValue(measured.alignItems);
     }
+    css["justify-content"] = flexValue(measured.justifyContent);
 
-    if (warnings.length > 0) {
-        validationResults.warnings = warnings;
+    return {
+        source,
+        direction,
+        gap: measured.gap === undefined ? null : measured.gap,
+        padding,
+        alignItems: measured.alignItems || null,
+        justifyContent: measured.justifyContent,
+        wrap: measured.wrap,
+        order: measured.order,
+        backgroundLayerIds: measured.backgroundLayerIds,
+        css,
+    };
+}
+
+// Function to describe an artboard's layout grid with the matching CSS grid
+// container, and check how the artboard's children line up with its columns
+async function getSketchLayoutGrid(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+    const node = requireNode(sketchDocument, options);
+    const artboard = ARTBOARD_CLASSES.includes(node._class)
+        ? node
+        : sketchDocument.getArtboard(node.do_objectID);
+    const layoutGrid = artboard ? describeLayoutGrid(artboard) : null;
+
+    if (!layoutGrid) {
+        throw new SketchError(
+            artboard
+                ? `Artboard '${artboard.name}' has no layout grid or square grid`
+                : `Node '${node.name}' is not inside an artboard`,
+            "get_layout_grid",
+        );
     }
 
-    res.json(validationResults);
-});
+    return {
+        artboard: {
+            ...summarizeNode(artboard),
+            path: sketchDocument.getPath(artboard.do_objectID),
+            frame: artboard.frame,
+        },
+        layoutGrid,
+        code: layoutGrid.css
+            ? formatCssRules([
+                  {
+                      name: artboard.name,
+                      className: toClassName(artboard.name, "css"),
+                      declarations: Object.entries(layoutGrid.css),
+                  },
+              ])
+            : null,
+        alignment: layoutGrid.columns
+            ? checkColumnAlignment(artboard, layoutGrid.columns, sketchDocument)
+            : null,
+    };
+}
 
-// Main endpoint for basic info
-app.get("/", (req, res) => {
-    const stats = {
-        connections: clients.size,
-        channels: channels.size,
-        uptime: Math.floor(process.uptime()),
-        memory: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
+// Helper function to normalize an artboard's column/row layout and square
+// grid, or null when it has neither
+function describeLayoutGrid(node) {
+    if (!ARTBOARD_CLASSES.includes(node._class)) return null;
+
+    const { layout, grid } = node;
+    const hasColumns =
+        layout && layout.drawVertical && layout.numberOfColumns > 0;
+    const hasRows = layout && layout.drawHorizontal && layout.gutterHeight > 0;
+    const hasGrid = grid && grid.gridSize > 0;
+    if (!hasColumns && !hasRows && !hasGrid) return null;
+
+    const spec = {
+        columns: hasColumns
+            ? describeGridColumns(layout, node.frame.width)
+            : null,
+        rows: hasRows
+            ? {
+                  enabled: layout.isEnabled !== false,
+                  gutter: round(layout.gutterHeight),
+                  // Sketch stores row height as a multiple of the gutter height
+                  height: round(
+                      layout.gutterHeight *
+                          (layout.rowHeightMultiplication || 1),
+                  ),
+                  drawLines: Boolean(layout.drawHorizontalLines),
+              }
+            : null,
+        grid: hasGrid
+            ? {
+                  enabled: grid.isEnabled !== false,
+                  size: grid.gridSize,
+                  thickLinesEvery: grid.thickGridTimes || null,
+              }
+            : null,
     };
+    spec.warnings = [];
+    if (spec.columns && spec.columns.margin.right < 0) {
+        spec.warnings.push(
+            `Columns are ${spec.columns.totalWidth}px wide and overflow the ${round(node.frame.width)}px artboard by ${-spec.columns.margin.right}px`,
+        );
+    }
+    spec.css = hasColumns || hasRows ? layoutGridToCss(spec) : null;
 
-    res.send(`
-    <h1>Sketch MCP Server</h1>
-    <p><strong>Status:</strong> Running</p>
-    <p><strong>Version:</strong> ${require("./package.json").version}</p>
-    <div style="margin: 20px 0; padding: 15px; background: #f5f5f5; border-radius: 5px;">
-      <h3>Server Statistics</h3>
-      <ul>
-        <li>Active WebSocket connections: ${stats.connections}</li>
-        <li>Active channels: ${stats.channels}</li>
-        <li>Uptime: ${stats.uptime} seconds</li>
-        <li>Memory usage: ${stats.memory}</li>
-      </ul>
-    </div>
-    <div style="margin: 20px 0;">
-      <h3>Available Endpoints</h3>
-      <ul>
-        <li><a href="/health">Health Check</a> - Server health status</li>
-        <li><a href="/validate">Configuration Validation</a> - Check server setup</li>
-        <li><a href="/sse">Server-Sent Events</a> - For Cursor IDE integration</li>
-        <li>POST /messages - Message endpoint for MCP tools</li>
-        <li>WebSocket: ws://localhost:${config.port} - For Sketch plugin</li>
-      </ul>
-    </div>
-    <div style="margin: 20px 0; padding: 15px; background: #e8f4fd; border-radius: 5px;">
-      <h3>Setup Instructions</h3>
-      <p><strong>For Cursor IDE:</strong> Add MCP server with URL: <code>http://localhost:${config.port}/sse</code></p>
-      <p><strong>For Sketch Plugin:</strong> Connect to port <code>${config.port}</code></p>
-    </div>
-  `);
-});
+    return spec;
+}
+
+// Helper function to compute column positions in artboard coordinates.
+// Outside gutters put half a gutter before the first and after the last column.
+function describeGridColumns(layout, artboardWidth) {
+    const count = layout.numberOfColumns;
+    const width = layout.columnWidth || 0;
+    const gutter = layout.gutterWidth || 0;
+    const offset = layout.horizontalOffset || 0;
+    const inset = layout.guttersOutside ? gutter / 2 : 0;
+    const totalWidth = count * width + (count - 1) * gutter + 2 * inset;
+
+    return {
+        enabled: layout.isEnabled !== false,
+        count,
+        width: round(width),
+        gutter: round(gutter),
+        offset: round(offset),
+        totalWidth: round(totalWidth),
+        guttersOutside: Boolean(layout.guttersOutside),
+        margin: {
+            left: round(offset + inset),
+            right: round(artboardWidth - offset - totalWidth + inset),
+        },
+        positions: Array.from({ length: count }, (value, index) => ({
+            column: index + 1,
+            x: round(offset + inset + index * (width + gutter)),
+            width: round(width),
+        })),
+    };
+}
+
+// Helper function to build the CSS grid container matching a layout grid
+function layoutGridToCss(spec) {
+    const css = { display: "grid" };
+
+    if (spec.columns) {
+        // Keep Sketch's fixed column width, and share the space otherwise
+        css["grid-template-columns"] =
+            spec.columns.width > 0
+                ? `repeat(${spec.columns.count}, ${cssPx(spec.columns.width)})`
+                : `repeat(${spec.columns.count}, minmax(0, 1fr))`;
+        css["column-gap"] = cssPx(spec.columns.gutter);
+        // Overflowing columns are reported in the spec's warnings, as CSS
+        // has no negative padding
+        css["padding-left"] = cssPx(Math.max(0, spec.columns.margin.left));
+        css["padding-right"] = cssPx(Math.max(0, spec.columns.margin.right));
+    }
+
+    if (spec.rows) {
+        css["grid-auto-rows"] = cssPx(spec.rows.height);
+        css["row-gap"] = cssPx(spec.rows.gutter);
+    }
 
-// Enhanced file processing with validation and error handling
-async function getSketchFile(url, nodeId) {
+    return css;
+}
+
+// Helper function to check whether each visible child of an artboard starts
+// and ends on a column edge. Layers spanning the whole artboard are reported
+// as full-bleed rather than misaligned.
+function checkColumnAlignment(artboard, columns, sketchDocument) {
+    const starts = columns.positions.map((column) => column.x);
+    const ends = columns.positions.map((column) => column.x + column.width);
+    const nearest = (value, edges) =>
+        edges.reduce(
+            (best, edge, index) =>
+                Math.abs(value - edge) < Math.abs(best.delta)
+                    ? { index, delta: value - edge }
+                    : best,
+            { index: 0, delta: value - edges[0] },
+        );
+
+    const children = (artboard.layers || [])
+        .filter((layer) => layer.isVisible !== false)
+        .map((layer) => {
+            const { x, y, width, height } = layer.frame;
+            const start = nearest(x, starts);
+            const end = nearest(x + width, ends);
+            const fullBleed =
+                x <= LAYOUT_TOLERANCE &&
+                x + width >= artboard.frame.width - LAYOUT_TOLERANCE;
+            const aligned =
+                !fullBleed &&
+                Math.abs(start.delta) <= LAYOUT_TOLERANCE &&
+                Math.abs(end.delta) <= LAYOUT_TOLERANCE &&
+                end.index >= start.index;
+
+            return {
+                id: layer.do_objectID,
+                name: layer.name,
+                class: layer._class,
+                path: sketchDocument.getPath(layer.do_objectID),
+                frame: { x, y, width, height },
+                status: fullBleed
+                    ? "full-bleed"
+                    : aligned
+                      ? "aligned"
+                      : "misaligned",
+                startColumn: start.index + 1,
+                endColumn: end.index + 1,
+                offset: { start: round(start.delta), end: round(end.delta) },
+                gridColumn: aligned
+                    ? `${start.index + 1} / ${end.index + 2}`
+                    : null,
+            };
+        });
+
+    return {
+        tolerance: LAYOUT_TOLERANCE,
+        misalignedIds: children
+            .filter((child) => child.status === "misaligned")
+            .map((child) => child.id),
+        children,
+    };
+}
+
+// Function to get information about selected elements
+async function getSketchSelection(url, selectionIds, options = {}) {
     try {
-        logger.debug("Processing Sketch file request", { url, nodeId });
+        // Get the full document data
+        const documentData = await getSketchFile(url);
+        const ids = selectionIds || [];
+        const paths = options.selectionPaths || [];
 
-        // Validate input parameters
-        if (!url || typeof url !== "string") {
-            throw new FileError(
-                "URL parameter is required and must be a string",
+        // Find the selected nodes
+        const selectedNodes = [];
+        const addNode = (node) => {
+            // Enrich the node with additional context
+            selectedNodes.push(
+                enrichNodeData(
+                    options.expandSymbols
+                        ? expandSymbolInstances(node, documentData)
+                        : node,
+                    documentData,
+                ),
             );
-        }
+        };
 
-        // Determine file source and validate
-        const isCloudUrl =
-            url.includes("sketch.cloud") || url.includes("sketch.com");
-        const isLocalFile =
-            !isCloudUrl && (url.startsWith("/") || url.includes(":\\"));
+        for (const id of ids) {
+            // Search for the node in the document
+            const node = documentData.findNode(id);
 
-        if (!isCloudUrl && !isLocalFile && !config.localFilePath) {
-            throw new FileError(
-                "Invalid URL format. Must be a Sketch Cloud URL or local file path",
-                url,
-            );
+            if (node) {
+                addNode(node);
+            }
         }
 
-        let documentData;
-        let fileSize = 0;
+        // Paths that match several layers are reported with their candidates
+        // rather than picking one of them
+        const missingPaths = [];
+        const ambiguousPaths = [];
 
-        if (isCloudUrl) {
-            if (!config.sketchApiKey) {
-                throw new AuthenticationError(
-                    "Sketch API key is required for cloud files. Use --sketch-api-key parameter or set SKETCH_API_KEY environment variable",
-                );
-            }
+        for (const nodePath of paths) {
+            const matches = documentData.findNodesByPath(nodePath);
 
-            const documentId = extractDocumentIdFromUrl(url);
-            if (!documentId) {
-                throw new FileError("Invalid Sketch Cloud URL format", url);
+            if (matches.length === 1) {
+                addNode(matches[0]);
+            } else if (matches.length === 0) {
+                missingPaths.push(nodePath);
+            } else {
+                ambiguousPaths.push({
+                    path: nodePath,
+                    candidates: describePathCandidates(documentData, matches),
+                });
             }
+        }
 
-            documentData = await fetchCloudDocument(documentId);
-        } else {
-            const filePath = isLocalFile ? url : config.localFilePath;
+        // Return the selection data
+        return {
+            url: url,
+            selectionCount: selectedNodes.length,
+            selectedNodes: selectedNodes,
+            missingIds: ids.filter(
+                (id) => !selectedNodes.some((node) => node.metadata.id === id),
+            ),
+            missingPaths,
+            ambiguousPaths,
+        };
+    } catch (error) {
+        console.error("Error getting selection:", error);
+        throw error;
+    }
+}
 
-            if (!filePath) {
-                throw new FileError(
-                    "No local file specified. Use --local-file parameter or provide a file path",
-                );
-            }
+// Layer classes drawn from curve points
+const SHAPE_CLASSES = [
+    "rectangle",
+    "oval",
+    "shapePath",
+    "triangle",
+    "star",
+    "polygon",
+];
 
-            // Check file existence and size
-            if (!fs.existsSync(filePath)) {
-                throw new FileError(`File not found: ${filePath}`, filePath);
-            }
+// Function to render a node to SVG, optionally rasterized to PNG
+// Results are cached on the parsed document, so they are dropped along with
+// it whenever the file changes.
+async function renderSketchNode(url, nodeId, options = {}) {
+    const format = options.format || "svg";
+    const scale = options.scale || 1;
+
+    if (!["svg", "png"].includes(format)) {
+        throw new SketchError(
+            `Unsupported render format: ${format}. Use "svg" or "png"`,
+            "render",
+        );
+    }
 
-            const stats = fs.statSync(filePath);
-            fileSize = stats.size;
+    if (typeof scale !== "number" || scale <= 0 || scale > 8) {
+        throw new SketchError(
+            "Scale must be a number between 0 and 8",
+            "render",
+        );
+    }
 
-            if (fileSize > config.maxFileSize) {
-                throw new FileError(
-                    `File too large: ${Math.round(fileSize / 1024 / 1024)}MB (max: ${Math.round(config.maxFileSize / 1024 / 1024)}MB)`,
-                    filePath,
-                );
-            }
+    const sketchDocument = await getSketchFile(url);
+    const node = sketchDocument.findNode(nodeId);
+    if (!node) {
+        throw new SketchError(
+            `Node with ID '${nodeId}' not found in document`,
+            "node_lookup",
+        );
+    }
 
-            if (fileSize === 0) {
-                throw new FileError("File is empty", filePath);
-            }
+    const cacheKey = `${nodeId}:${format}:${scale}`;
+    if (sketchDocument.renders.has(cacheKey)) {
+        logger.debug("Render cache hit", { nodeId, format, scale });
+        return sketchDocument.renders.get(cacheKey);
+    }
 
-            documentData = await parseLocalSketchFile(filePath);
-        }
+    const svg = renderNodeToSvg(node, sketchDocument, { scale });
+    const result = {
+        nodeId,
+        name: node.name,
+        format,
+        scale,
+        width: Math.round(node.frame.width * scale),
+        height: Math.round(node.frame.height * scale),
+    };
 
-        // Log successful file processing
-        logger.info("File processed successfully", {
-            url: isCloudUrl ? "cloud" : "local",
-            fileSize: Math.round(fileSize / 1024),
-            hasNodeId: !!nodeId,
-        });
+    if (format === "png") {
+        const sharp = loadSharp();
+        const png = await sharp(Buffer.from(svg)).png().toBuffer();
+        result.mimeType = "image/png";
+        result.data = png.toString("base64");
+    } else {
+        result.mimeType = "image/svg+xml";
+        result.svg = svg;
+    }
 
-        // Handle specific node requests
-        if (nodeId) {
-            const node = findNodeWithMetadata(documentData, nodeId);
-            if (!node) {
-                throw new SketchError(
-                    `Node with ID '${nodeId}' not found in document`,
-                    "node_lookup",
-                );
-            }
+    sketchDocument.renders.set(cacheKey, result);
+    return result;
+}
 
-            logger.debug("Node found successfully", {
-                nodeId,
-                nodeType: node._class,
-            });
-            return enrichNodeData(node);
+// Function to export vector layers as standalone SVG files
+// With nodeId a single node is exported; with prefix every symbol master
+// whose name starts with it (e.g. "icon/") is written to outputDir.
+async function exportSketchSvg(url, options = {}) {
+    const sketchDocument = await getSketchFile(url);
+
+    if (options.nodeId) {
+        const node = sketchDocument.findNode(options.nodeId);
+        if (!node) {
+            throw new SketchError(
+                `Node with ID '${options.nodeId}' not found in document`,
+                "node_lookup",
+            );
         }
 
-        return documentData;
-    } catch (error) {
-        logger.error("Failed to process Sketch file", {
-            url,
-            nodeId,
-            error: error.message,
-            errorType: error.type || "unknown",
-        });
+        const svg = renderNodeToSvg(node, sketchDocument);
+        const result = { nodeId: node.do_objectID, name: node.name, svg };
 
-        // Re-throw with appropriate error type if not already categorized
-        if (
-            error instanceof FileError ||
-            error instanceof AuthenticationError ||
-            error instanceof SketchError
-        ) {
-            throw error;
-        } else {
-            throw new FileError(
-                `Failed to process Sketch file: ${error.message}`,
-                url,
-            );
+        if (options.outputPath) {
+            const outputPath = path.resolve(options.outputPath);
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, svg);
+            result.file = outputPath;
         }
+
+        return result;
     }
-}
 
-// Function to fetch document from Sketch Cloud
-async function fetchCloudDocument(documentId) {
-    if (!config.sketchApiKey) {
-        throw new Error("Sketch API key is required for cloud files");
+    if (!options.prefix || !options.outputDir) {
+        throw new SketchError(
+            "Provide either nodeId, or prefix and outputDir for a batch export",
+            "export_svg",
+        );
     }
 
-    // Call Sketch Cloud API to get document details
-    const apiUrl = `https://api.sketch.cloud/v1/documents/${documentId}`;
-    const response = await fetch(apiUrl, {
-        headers: {
-            Authorization: `Bearer ${config.sketchApiKey}`,
-        },
+    const outputDir = path.resolve(options.outputDir);
+    const masters = sketchDocument
+        .getSymbolMasters()
+        .filter(({ master }) => master.name.startsWith(options.prefix));
+    const files = [];
+    // Slug → name of the symbol written under it, so names that slug the
+    // same ("icon/a b", "icon/a-b") get a numbered file instead of clobbering
+    const written = new Map();
+
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    for (const { master } of masters) {
+        const baseSlug = toFileSlug(master.name.slice(options.prefix.length));
+        let slug = baseSlug;
+        for (let i = 2; written.has(slug); i++) {
+            slug = `${baseSlug}-${i}`;
+        }
+        const filePath = path.join(outputDir, `${slug}.svg`);
+
+        fs.writeFileSync(filePath, renderNodeToSvg(master, sketchDocument));
+        files.push({
+            nodeId: master.do_objectID,
+            name: master.name,
+            file: filePath,
+            collidesWith: slug !== baseSlug ? written.get(baseSlug) : undefined,
+        });
+        written.set(slug, master.name);
+    }
+
+    logger.info("Exported symbols as SVG", {
+        prefix: options.prefix,
+        outputDir,
+        count: files.length,
     });
 
-    if (!response.ok) {
-        throw new Error(
-            `Failed to fetch document from Sketch Cloud: ${response.statusText}`,
+    return { outputDir, count: files.length, files };
+}
+
+// Helper function to turn a layer name into a safe file name
+// e.g. "arrows/Arrow Left" → "arrows-arrow-left"
+function toFileSlug(name) {
+    return (
+        name
+            .trim()
+            .toLowerCase()
+            .replace(/[\/\\]+/g, "-")
+            .replace(/[^a-z0-9._-]+/g, "-")
+            .replace(/-+/g, "-")
+            .replace(/^[-.]+|-+$/g, "") || "untitled"
+    );
+}
+
+// Helper function to load sharp only when a PNG is actually requested
+function loadSharp() {
+    try {
+        return require("sharp");
+    } catch (error) {
+        throw new SketchError(
+            `PNG rendering requires the sharp package to be installed: ${error.message}`,
+            "render",
         );
     }
+}
 
-    const documentData = await response.json();
+// Helper function to render a node and its children as an SVG document
+function renderNodeToSvg(node, sketchDocument, options = {}) {
+    const scale = options.scale || 1;
+    const { width, height } = node.frame;
+    const ctx = {
+        sketchDocument,
+        defs: [],
+        ids: 0,
+        nextId(prefix) {
+            this.ids++;
+            return `${prefix}${this.ids}`;
+        },
+    };
 
-    // Get the download URL for the sketch file
-    const downloadUrl = documentData.shortcut.downloadUrl;
+    // The root is drawn at the origin, whatever its position on the canvas
+    const body = renderSvgLayer(
+        { ...node, frame: { ...node.frame, x: 0, y: 0 }, rotation: 0 },
+        ctx,
+    );
+    const defs = ctx.defs.length > 0 ? `<defs>${ctx.defs.join("")}</defs>` : "";
 
-    // Download the file
-    const fileResponse = await fetch(downloadUrl);
-    if (!fileResponse.ok) {
-        throw new Error(
-            `Failed to download Sketch file: ${fileResponse.statusText}`,
-        );
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${formatSvgNumber(width * scale)}" height="${formatSvgNumber(height * scale)}" viewBox="0 0 ${formatSvgNumber(width)} ${formatSvgNumber(height)}">${defs}${body}</svg>`;
+}
+
+// Helper function to render one layer, positioned within its parent
+function renderSvgLayer(layer, ctx) {
+    if (layer.isVisible === false) return "";
+
+    if (layer._class === "symbolInstance" && !layer.resolvedSymbol) {
+        layer = resolveSymbolInstance(layer, ctx.sketchDocument, new Map(), []);
     }
 
-    const buffer = await fileResponse.buffer();
-    return parseSketchBuffer(buffer);
-}
+    const style = layer.style || {};
+    const attributes = [];
+    const transform = svgTransform(layer);
 
-// Function to parse Sketch file buffer
-async function parseSketchBuffer(buffer, nodeId = null) {
-    // Create a temporary file to store the buffer
-    const tmpFile = tmp.fileSync({ postfix: ".sketch" });
-    fs.writeFileSync(tmpFile.name, buffer);
+    if (transform !== "translate(0 0)") {
+        attributes.push(`transform="${transform}"`);
+    }
 
-    try {
-        // Extract the sketch file (it's a zip)
-        const zip = new AdmZip(tmpFile.name);
-        const entries = zip.getEntries();
+    if (style.contextSettings && style.contextSettings.opacity < 1) {
+        attributes.push(`opacity="${style.contextSettings.opacity}"`);
+    }
+
+    const filterId = renderSvgFilter(style, ctx);
+    if (filterId) {
+        attributes.push(`filter="url(#${filterId})"`);
+    }
 
-        // Parse the document.json file
-        const documentEntry = entries.find(
-            (entry) => entry.entryName === "document.json",
+    let content;
+    if (layer._class === "text") {
+        content = renderSvgText(layer);
+    } else if (layer._class === "bitmap") {
+        content = renderSvgBitmap(layer, ctx);
+    } else if (layer._class === "shapeGroup") {
+        content = renderSvgShape(layer, composeShapeGroup(layer, ctx), ctx);
+    } else if (SHAPE_CLASSES.includes(layer._class)) {
+        content = renderSvgShape(
+            layer,
+            {
+                pathData: shapeToSvgPath(layer),
+                fillRule: style.windingRule === 1 ? "evenodd" : "nonzero",
+            },
+            ctx,
         );
-        if (!documentEntry) {
-            throw new Error("Invalid Sketch file: document.json not found");
-        }
+    } else {
+        content = renderSvgContainer(layer, ctx);
+    }
 
-        const documentJson = JSON.parse(zip.readAsText(documentEntry));
+    // Skip wrapper groups that would carry no attributes
+    return attributes.length > 0
+        ? `<g ${attributes.join(" ")}>${content}</g>`
+        : content;
+}
 
-        // Get meta.json for additional info
-        const metaEntry = entries.find(
-            (entry) => entry.entryName === "meta.json",
+// Helper function to render a group, artboard or resolved symbol instance
+function renderSvgContainer(layer, ctx) {
+    const parts = [];
+
+    if (
+        ARTBOARD_CLASSES.includes(layer._class) &&
+        layer.hasBackgroundColor &&
+        layer.includeBackgroundColorInExport !== false
+    ) {
+        const { color, opacity } = svgColor(layer.backgroundColor);
+        parts.push(
+            `<rect width="${formatSvgNumber(layer.frame.width)}" height="${formatSvgNumber(layer.frame.height)}" fill="${color}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ""}/>`,
         );
-        const metaJson = metaEntry ? JSON.parse(zip.readAsText(metaEntry)) : {};
+    }
 
-        // Parse pages
-        const pages = [];
-        const pagesEntries = entries.filter((entry) =>
-            entry.entryName.startsWith("pages/"),
-        );
+    // A layer with hasClippingMask clips the siblings above it, until one
+    // breaks the chain or the group ends
+    let maskAttribute = null;
+    let masked = [];
+    const closeMask = () => {
+        if (masked.length > 0) {
+            parts.push(`<g ${maskAttribute}>${masked.join("")}</g>`);
+        }
+        maskAttribute = null;
+        masked = [];
+    };
 
-        for (const pageEntry of pagesEntries) {
-            const pageJson = JSON.parse(zip.readAsText(pageEntry));
-            pages.push(pageJson);
+    for (const child of layer.layers || []) {
+        if (maskAttribute && child.shouldBreakMaskChain) {
+            closeMask();
         }
 
-        // Construct the result
-        const result = {
-            document: documentJson,
-            meta: metaJson,
-            pages: pages,
-        };
+        const rendered = renderSvgLayer(child, ctx);
 
-        // If nodeId is specified, find the specific node
-        if (nodeId) {
-            // First check in the document
-            let node = findNodeById(documentJson, nodeId);
+        if (child.hasClippingMask && child.isVisible !== false) {
+            closeMask();
+            maskAttribute = renderSvgMask(child, rendered, ctx);
+            parts.push(rendered);
+        } else if (maskAttribute) {
+            masked.push(rendered);
+        } else {
+            parts.push(rendered);
+        }
+    }
+    closeMask();
 
-            // If not found, check in pages
-            if (!node) {
-                for (const page of pages) {
-                    node = findNodeById(page, nodeId);
-                    if (node) break;
-                }
-            }
+    return parts.join("");
+}
 
-            if (!node) {
-                throw new Error(
-                    `Node with ID ${nodeId} not found in the document`,
-                );
-            }
+// Helper function to define a clipping mask and return the attribute using it
+// Outline masks (clippingMaskMode 0) clip to the shape; alpha masks use the
+// rendered layer's opacity.
+function renderSvgMask(maskLayer, rendered, ctx) {
+    const isOutline =
+        maskLayer.clippingMaskMode !== 1 &&
+        SHAPE_CLASSES.includes(maskLayer._class);
+
+    if (isOutline) {
+        const clipId = ctx.nextId("clip");
+        ctx.defs.push(
+            `<clipPath id="${clipId}"><path d="${shapeToSvgPath(maskLayer, maskLayer.frame.x, maskLayer.frame.y)}"/></clipPath>`,
+        );
+        return `clip-path="url(#${clipId})"`;
+    }
 
-            return node;
-        }
+    const maskId = ctx.nextId("mask");
+    ctx.defs.push(`<mask id="${maskId}">${rendered}</mask>`);
+    return `mask="url(#${maskId})"`;
+}
 
-        return result;
-    } finally {
-        // Clean up
-        tmpFile.removeCallback();
+// Helper function to build the translate/rotate/flip transform of a layer
+// Sketch rotates counterclockwise around the layer center; SVG clockwise.
+function svgTransform(layer) {
+    const { x, y, width, height } = layer.frame;
+    const transforms = [
+        `translate(${formatSvgNumber(x)} ${formatSvgNumber(y)})`,
+    ];
+
+    if (layer.rotation) {
+        transforms.push(
+            `rotate(${formatSvgNumber(-layer.rotation)} ${formatSvgNumber(width / 2)} ${formatSvgNumber(height / 2)})`,
+        );
     }
+
+    if (layer.isFlippedHorizontal || layer.isFlippedVertical) {
+        transforms.push(
+            `translate(${layer.isFlippedHorizontal ? formatSvgNumber(width) : 0} ${layer.isFlippedVertical ? formatSvgNumber(height) : 0})`,
+            `scale(${layer.isFlippedHorizontal ? -1 : 1} ${layer.isFlippedVertical ? -1 : 1})`,
+        );
+    }
+
+    return transforms.join(" ");
 }
 
-// Function to list components in a Sketch file
-async function listSketchComponents(url) {
-    try {
-        const sketchData = await getSketchFile(url);
-        const components = [];
+// Helper function to paint a path with a layer's fills and borders
+// Sketch stacks fills bottom to top, then draws borders over them.
+function renderSvgShape(layer, shape, ctx) {
+    const { pathData, fillRule } = shape;
+    if (!pathData) return "";
+
+    const style = layer.style || {};
+    const frame = layer.frame;
+    const parts = [];
+    const borders = enabledItems(style.borders);
+
+    // Outside borders sit beneath the fills so only the outer half shows
+    for (const border of borders.filter((item) => item.position === 2)) {
+        parts.push(
+            renderSvgStroke(
+                pathData,
+                border,
+                border.thickness * 2,
+                style.borderOptions,
+                ctx,
+                frame,
+            ),
+        );
+    }
 
-        // Search for components in document
-        findComponents(sketchData.document, components);
+    for (const fill of enabledItems(style.fills)) {
+        const paint = svgPaint(fill, ctx, frame);
+        parts.push(
+            `<path d="${pathData}" fill="${paint.paint}"${paint.opacity < 1 ? ` fill-opacity="${paint.opacity}"` : ""} fill-rule="${fillRule}"/>`,
+        );
+    }
 
-        // Search for components in pages
-        for (const page of sketchData.pages) {
-            findComponents(page, components);
+    for (const border of borders.filter((item) => item.position !== 2)) {
+        if (border.position === 1) {
+            // Inside borders: a double-width stroke clipped to the shape
+            const clipId = ctx.nextId("clip");
+            ctx.defs.push(
+                `<clipPath id="${clipId}"><path d="${pathData}" clip-rule="${fillRule}"/></clipPath>`,
+            );
+            parts.push(
+                `<g clip-path="url(#${clipId})">${renderSvgStroke(pathData, border, border.thickness * 2, style.borderOptions, ctx, frame)}</g>`,
+            );
+        } else {
+            parts.push(
+                renderSvgStroke(
+                    pathData,
+                    border,
+                    border.thickness,
+                    style.borderOptions,
+                    ctx,
+                    frame,
+                ),
+            );
         }
-
-        return components;
-    } catch (error) {
-        console.error("Error listing components:", error);
-        throw error;
     }
+
+    return shape.maskId
+        ? `<g mask="url(#${shape.maskId})">${parts.join("")}</g>`
+        : parts.join("");
 }
 
-// Helper function to find components in a Sketch object
-function findComponents(obj, components) {
-    if (!obj) return;
+// Helper function to draw a border as an SVG stroke
+function renderSvgStroke(pathData, border, width, borderOptions, ctx, frame) {
+    const paint = svgPaint(border, ctx, frame);
+    const dash =
+        borderOptions &&
+        borderOptions.dashPattern &&
+        borderOptions.dashPattern.length > 0
+            ? ` stroke-dasharray="${borderOptions.dashPattern.join(" ")}"`
+            : "";
+
+    return `<path d="${pathData}" fill="none" stroke="${paint.paint}"${paint.opacity < 1 ? ` stroke-opacity="${paint.opacity}"` : ""} stroke-width="${formatSvgNumber(width)}"${dash}/>`;
+}
 
-    // Check if the object is a component (Symbol master in Sketch)
-    if (obj._class === "symbolMaster") {
-        components.push({
-            id: obj.do_objectID,
-            name: obj.name,
-            type: "component",
-            frame: obj.frame,
-        });
+// Helper function to turn a fill or border into an SVG paint reference
+function svgPaint(paint, ctx, frame) {
+    const opacity = paint.contextSettings ? paint.contextSettings.opacity : 1;
+    const type = FILL_TYPES[paint.fillType] || "color";
+
+    if (type === "gradient" && paint.gradient) {
+        return {
+            paint: `url(#${renderSvgGradient(paint.gradient, opacity, ctx)})`,
+            opacity: 1,
+        };
     }
 
-    // Recursively search for components in layers and other objects
-    if (obj.layers && Array.isArray(obj.layers)) {
-        for (const layer of obj.layers) {
-            findComponents(layer, components);
+    if (type === "image" && paint.image) {
+        const href = getAssetDataUri(ctx.sketchDocument, paint.image._ref);
+        if (href) {
+            const patternId = ctx.nextId("pattern");
+            ctx.defs.push(
+                `<pattern id="${patternId}" patternContentUnits="objectBoundingBox" width="1" height="1"><image width="1" height="1" preserveAspectRatio="xMidYMid slice" xlink:href="${href}"/></pattern>`,
+            );
+            return { paint: `url(#${patternId})`, opacity };
         }
     }
 
-    // Check for artboards, which can contain components
-    if (obj.artboards && obj.artboards.objects) {
-        for (const artboard of obj.artboards.objects) {
-            findComponents(artboard, components);
-        }
-    }
+    return svgColor(paint.color, opacity);
 }
 
-// Helper function to find a node by ID
-function findNodeById(obj, id) {
-    if (!obj) return null;
+// Helper function to split a Sketch color into an SVG color and opacity
+function svgColor(color, opacity = 1) {
+    if (!color) return { color: "none", paint: "none", opacity: 1 };
 
-    // Check if this is the node we're looking for
-    if (obj.do_objectID === id) {
-        return obj;
-    }
+    const hex = colorToHex({ ...color, alpha: 1 });
+    const { a } = colorToChannels(color, opacity);
 
-    // Check in layers
-    if (obj.layers && Array.isArray(obj.layers)) {
-        for (const layer of obj.layers) {
-            const found = findNodeById(layer, id);
-            if (found) return found;
-        }
+    return { color: hex, paint: hex, opacity: round(a) };
+}
+
+// Helper function to add a gradient definition and return its ID
+function renderSvgGradient(gradient, opacity, ctx) {
+    const id = ctx.nextId("gradient");
+    const from = parseSketchPoint(gradient.from);
+    const to = parseSketchPoint(gradient.to);
+    const stops = (gradient.stops || [])
+        .map((stop) => {
+            const { color, opacity: stopOpacity } = svgColor(
+                stop.color,
+                opacity,
+            );
+            return `<stop offset="${round(stop.position)}" stop-color="${color}"${stopOpacity < 1 ? ` stop-opacity="${stopOpacity}"` : ""}/>`;
+        })
+        .join("");
+
+    if (GRADIENT_TYPES[gradient.gradientType] === "radial") {
+        const radius = Math.hypot(to.x - from.x, to.y - from.y);
+        ctx.defs.push(
+            `<radialGradient id="${id}" cx="${round(from.x)}" cy="${round(from.y)}" r="${round(radius)}">${stops}</radialGradient>`,
+        );
+    } else {
+        // Angular gradients have no SVG equivalent and fall back to linear
+        ctx.defs.push(
+            `<linearGradient id="${id}" x1="${round(from.x)}" y1="${round(from.y)}" x2="${round(to.x)}" y2="${round(to.y)}">${stops}</linearGradient>`,
+        );
     }
 
-    // Check in artboards
-    if (obj.artboards && obj.artboards.objects) {
-        for (const artboard of obj.artboards.objects) {
-            const found = findNodeById(artboard, id);
-            if (found) return found;
-        }
+    return id;
+}
+
+// Helper function to add a filter for shadows, inner shadows and blur
+function renderSvgFilter(style, ctx) {
+    const shadows = enabledItems(style.shadows);
+    const innerShadows = enabledItems(style.innerShadows);
+    const blur =
+        style.blur && style.blur.isEnabled && style.blur.type === 0
+            ? style.blur
+            : null;
+
+    if (shadows.length === 0 && innerShadows.length === 0 && !blur) {
+        return null;
     }
 
-    // Check in pages
-    if (obj.pages && obj.pages.objects) {
-        for (const page of obj.pages.objects) {
-            const found = findNodeById(page, id);
-            if (found) return found;
-        }
+    const id = ctx.nextId("filter");
+    const primitives = [];
+    const shadowResults = [];
+    const innerResults = [];
+
+    shadows.forEach((shadow, i) => {
+        const { color, opacity } = svgColor(
+            shadow.color,
+            shadow.contextSettings ? shadow.contextSettings.opacity : 1,
+        );
+        const source = shadow.spread
+            ? `<feMorphology in="SourceAlpha" operator="${shadow.spread > 0 ? "dilate" : "erode"}" radius="${Math.abs(shadow.spread)}" result="spread${i}"/>`
+            : "";
+        primitives.push(
+            `${source}<feGaussianBlur in="${shadow.spread ? `spread${i}` : "SourceAlpha"}" stdDeviation="${shadow.blurRadius / 2}"/><feOffset dx="${shadow.offsetX}" dy="${shadow.offsetY}" result="offset${i}"/><feFlood flood-color="${color}" flood-opacity="${opacity}"/><feComposite in2="offset${i}" operator="in" result="shadow${i}"/>`,
+        );
+        shadowResults.push(`shadow${i}`);
+    });
+
+    innerShadows.forEach((shadow, i) => {
+        const { color, opacity } = svgColor(
+            shadow.color,
+            shadow.contextSettings ? shadow.contextSettings.opacity : 1,
+        );
+        primitives.push(
+            `<feComponentTransfer in="SourceAlpha" result="inverse${i}"><feFuncA type="table" tableValues="1 0"/></feComponentTransfer><feGaussianBlur in="inverse${i}" stdDeviation="${shadow.blurRadius / 2}"/><feOffset dx="${shadow.offsetX}" dy="${shadow.offsetY}" result="innerOffset${i}"/><feFlood flood-color="${color}" flood-opacity="${opacity}"/><feComposite in2="innerOffset${i}" operator="in"/><feComposite in2="SourceAlpha" operator="in" result="inner${i}"/>`,
+        );
+        innerResults.push(`inner${i}`);
+    });
+
+    const merged = [...shadowResults, "SourceGraphic", ...innerResults]
+        .map((result) => `<feMergeNode in="${result}"/>`)
+        .join("");
+    primitives.push(`<feMerge result="merged">${merged}</feMerge>`);
+
+    if (blur) {
+        primitives.push(
+            `<feGaussianBlur in="merged" stdDeviation="${blur.radius / 2}"/>`,
+        );
     }
 
-    return null;
-}
+    ctx.defs.push(
+        `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">${primitives.join("")}</filter>`,
+    );
 
-// Helper function to extract document ID from Sketch Cloud URL
-function extractDocumentIdFromUrl(url) {
-    const regex = /sketch\.cloud\/s\/([a-zA-Z0-9]+)/;
-    const match = url.match(regex);
-    return match ? match[1] : null;
+    return id;
 }
 
-// Function to broadcast messages to all connected SSE clients
-function broadcast(message) {
-    for (const client of clients) {
-        if (client.write) {
-            // SSE client
-            client.write(`data: ${JSON.stringify(message)}\n\n`);
-        } else if (client.readyState === WebSocket.OPEN) {
-            // WebSocket client
-            client.send(JSON.stringify(message));
-        }
+// Helper function to build the outline of a single shape layer
+function shapeToSvgPath(layer, offsetX = 0, offsetY = 0) {
+    const { width, height } = layer.frame;
+
+    if (layer._class === "oval" && !layer.edited) {
+        const rx = width / 2;
+        const ry = height / 2;
+        return `M${formatSvgNumber(offsetX)} ${formatSvgNumber(offsetY + ry)}A${formatSvgNumber(rx)} ${formatSvgNumber(ry)} 0 1 0 ${formatSvgNumber(offsetX + width)} ${formatSvgNumber(offsetY + ry)}A${formatSvgNumber(rx)} ${formatSvgNumber(ry)} 0 1 0 ${formatSvgNumber(offsetX)} ${formatSvgNumber(offsetY + ry)}Z`;
     }
+
+    return curvePointsToSvgPath(
+        layer.points,
+        layer.frame,
+        layer.isClosed !== false,
+        layer._class === "rectangle" ? layer.fixedRadius || 0 : 0,
+        offsetX,
+        offsetY,
+    );
 }
 
-// Check if we should run in stdio mode
-if (config.isStdioMode) {
-    console.log("Initializing Sketch MCP Server in stdio mode...");
+// Boolean operations of shape group children
+const BOOLEAN_OPERATIONS = {
+    [-1]: "none",
+    0: "union",
+    1: "subtract",
+    2: "intersect",
+    3: "difference",
+};
 
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-        terminal: false,
-    });
+// Helper function to combine the shapes inside a shape group
+// Unions become one nonzero path and differences one evenodd path, which
+// keeps icons clean. Subtract and intersect need an SVG mask built from the
+// children in order; strokes then follow the individual outlines.
+function composeShapeGroup(group, ctx) {
+    const children = (group.layers || []).filter(
+        (child) => child.isVisible !== false,
+    );
+    const paths = children.map((child) =>
+        child._class === "shapeGroup"
+            ? shapeGroupToSvgPath(child, child.frame.x, child.frame.y)
+            : shapeToSvgPath(child, child.frame.x, child.frame.y),
+    );
+    const operations = children
+        .slice(1)
+        .map((child) => BOOLEAN_OPERATIONS[child.booleanOperation] || "none");
+    const pathData = paths.join("");
 
-    rl.on("line", async (line) => {
-        try {
-            const message = JSON.parse(line);
-            let response;
+    if (operations.every((op) => op === "none" || op === "union")) {
+        return { pathData, fillRule: "nonzero" };
+    }
 
-            if (message.type === "ping") {
-                response = { type: "pong" };
-            } else if (message.type === "get_tools") {
-                response = {
-                    type: "tools",
-                    tools: TOOLS,
-                };
-            } else if (message.type === "execute_tool") {
-                const { tool, params } = message;
-                let result;
+    if (operations.every((op) => op !== "subtract" && op !== "intersect")) {
+        return { pathData, fillRule: "evenodd" };
+    }
 
-                if (tool === "get_file")
-                    result = await getSketchFile(params.url, params.nodeId);
-                else if (tool === "list_components")
-                    result = await listSketchComponents(params.url);
-                else if (tool === "get_selection")
-                    result = await getSketchSelection(
-                        params.url,
-                        params.selectionIds,
-                    );
-                else if (tool === "create_rectangle")
-                    result = await forwardToWebSocketClients(
-                        "create_rectangle",
-                        params,
-                    );
-                else if (tool === "create_text")
-                    result = await forwardToWebSocketClients(
-                        "create_text",
-                        params,
-                    );
-                else throw new Error(`Unknown tool: ${tool}`);
+    // Mask regions default to the viewport; size them around the group instead
+    const { width, height } = group.frame;
+    const bounds = `maskUnits="userSpaceOnUse" x="${formatSvgNumber(-width)}" y="${formatSvgNumber(-height)}" width="${formatSvgNumber(width * 3)}" height="${formatSvgNumber(height * 3)}"`;
 
-                response = {
-                    type: "tool_result",
-                    id: message.id,
-                    result,
-                };
-            } else {
-                throw new Error(`Unknown message type: ${message.type}`);
-            }
+    let content = `<path d="${paths[0]}" fill="#fff"/>`;
+    operations.forEach((op, i) => {
+        const childPath = paths[i + 1];
 
-            console.log("Sending response:", response);
-            broadcast(response);
-        } catch (error) {
-            console.error("Error processing message:", error);
-            const response = handleError(error);
-            console.log("Sending error response:", response);
-            broadcast(response);
+        if (op === "subtract") {
+            content += `<path d="${childPath}" fill="#000"/>`;
+        } else if (op === "intersect") {
+            const intersectId = ctx.nextId("mask");
+            ctx.defs.push(
+                `<mask id="${intersectId}" ${bounds}><path d="${childPath}" fill="#fff"/></mask>`,
+            );
+            content = `<g mask="url(#${intersectId})">${content}</g>`;
+        } else {
+            content += `<path d="${childPath}" fill="#fff"/>`;
         }
     });
-}
 
-// Add more robust error handling
-function handleError(error) {
-    return {
-        type: "error",
-        error: {
-            message: error.message,
-            code: error.code || "UNKNOWN_ERROR",
-            details: error.details || {},
-            suggestion: getSuggestionForError(error),
-        },
-    };
+    const maskId = ctx.nextId("mask");
+    ctx.defs.push(`<mask id="${maskId}" ${bounds}>${content}</mask>`);
+
+    return { pathData, fillRule: "nonzero", maskId };
 }
 
-function getSuggestionForError(error) {
-    // Implement logic to generate a suggestion based on the error
-    return "Please try again later or contact support for assistance.";
+// Helper function to join the outlines inside a nested shape group
+function shapeGroupToSvgPath(group, offsetX = 0, offsetY = 0) {
+    return (group.layers || [])
+        .filter((child) => child.isVisible !== false)
+        .map((child) => {
+            const x = offsetX + child.frame.x;
+            const y = offsetY + child.frame.y;
+            return child._class === "shapeGroup"
+                ? shapeGroupToSvgPath(child, x, y)
+                : shapeToSvgPath(child, x, y);
+        })
+        .join("");
 }
 
-// Add implementation for parseLocalSketchFile
-async function parseLocalSketchFile(url) {
-    // If url is a local file path, use it directly
-    // Otherwise, if we have a default local file configured, use that
-    const filePath =
-        url.startsWith("/") || url.includes(":\\") ? url : config.localFilePath;
+// Helper function to convert Sketch curve points into SVG path data
+// Points are relative to the frame (0–1). Straight corners with a radius are
+// rounded with a quadratic curve, which matches Sketch closely for the
+// right angles found in most UI shapes.
+function curvePointsToSvgPath(
+    points,
+    frame,
+    isClosed,
+    fallbackRadius = 0,
+    offsetX = 0,
+    offsetY = 0,
+) {
+    if (!points || points.length === 0) return "";
+
+    const toAbsolute = (value) => {
+        const point = parseSketchPoint(value);
+        return {
+            x: offsetX + point.x * frame.width,
+            y: offsetY + point.y * frame.height,
+        };
+    };
+    const nodes = points.map((point) => ({
+        point: toAbsolute(point.point),
+        curveFrom: point.hasCurveFrom ? toAbsolute(point.curveFrom) : null,
+        curveTo: point.hasCurveTo ? toAbsolute(point.curveTo) : null,
+        radius: point.cornerRadius || fallbackRadius,
+    }));
+    const count = nodes.length;
+
+    // Work out where each rounded corner starts and ends
+    nodes.forEach((node, i) => {
+        node.enter = node.point;
+        node.exit = node.point;
+
+        const isEndpoint = !isClosed && (i === 0 || i === count - 1);
+        if (!node.radius || node.curveFrom || node.curveTo || isEndpoint) {
+            return;
+        }
 
-    if (!filePath) {
-        throw new Error(
-            "No local Sketch file specified. Use --local-file parameter or set LOCAL_SKETCH_PATH environment variable.",
+        const previous = nodes[(i - 1 + count) % count];
+        const next = nodes[(i + 1) % count];
+        if (previous.curveFrom || next.curveTo) return;
+
+        const incoming = Math.hypot(
+            node.point.x - previous.point.x,
+            node.point.y - previous.point.y,
+        );
+        const outgoing = Math.hypot(
+            next.point.x - node.point.x,
+            next.point.y - node.point.y,
         );
+        if (incoming === 0 || outgoing === 0) return;
+
+        const distance = Math.min(node.radius, incoming / 2, outgoing / 2);
+        node.enter = {
+            x:
+                node.point.x -
+                ((node.point.x - previous.point.x) / incoming) * distance,
+            y:
+                node.point.y -
+                ((node.point.y - previous.point.y) / incoming) * distance,
+        };
+        node.exit = {
+            x:
+                node.point.x +
+                ((next.point.x - node.point.x) / outgoing) * distance,
+            y:
+                node.point.y +
+                ((next.point.y - node.point.y) / outgoing) * distance,
+        };
+        node.rounded = true;
+    });
+
+    const xy = (point) =>
+        `${formatSvgNumber(point.x)} ${formatSvgNumber(point.y)}`;
+    const segments = isClosed ? count : count - 1;
+    let pathData = `M${xy(nodes[0].exit)}`;
+
+    for (let i = 0; i < segments; i++) {
+        const from = nodes[i];
+        const to = nodes[(i + 1) % count];
+
+        if (from.curveFrom || to.curveTo) {
+            pathData += `C${xy(from.curveFrom || from.point)} ${xy(to.curveTo || to.point)} ${xy(to.point)}`;
+        } else {
+            pathData += `L${xy(to.enter)}`;
+            if (to.rounded) {
+                pathData += `Q${xy(to.point)} ${xy(to.exit)}`;
+            }
+        }
     }
 
-    if (!fs.existsSync(filePath)) {
-        throw new Error(`Local Sketch file not found: ${filePath}`);
+    return isClosed ? `${pathData}Z` : pathData;
+}
+
+// Helper function to render a text layer, one tspan per typography run
+// Lines break only on explicit newlines; Sketch's own wrapping is not
+// reproduced.
+function renderSvgText(layer) {
+    const decoded = decodeAttributedString(layer.attributedString);
+    if (!decoded || !decoded.text) return "";
+
+    const lines = [[]];
+    for (const run of decoded.runs) {
+        run.text.split("\n").forEach((part, i) => {
+            if (i > 0) lines.push([]);
+            if (part) lines[lines.length - 1].push({ ...run, text: part });
+        });
     }
 
-    // Read the file and parse it
-    const buffer = fs.readFileSync(filePath);
-    return parseSketchBuffer(buffer);
+    const firstRun = decoded.runs[0] || {};
+    const alignment = firstRun.paragraphAlignment || "left";
+    const anchor = { center: "middle", right: "end" }[alignment] || "start";
+    const x =
+        {
+            center: layer.frame.width / 2,
+            right: layer.frame.width,
+        }[alignment] || 0;
+
+    const style = normalizeStyle(layer.style);
+
+    let top = 0;
+    const tspans = lines.map((segments) => {
+        const fontSize = Math.max(
+            ...segments.map((segment) => segment.fontSize || 12),
+            firstRun.fontSize || 12,
+        );
+        const lineHeight = Math.max(
+            ...segments.map((segment) => segment.lineHeight || 0),
+            fontSize * 1.2,
+        );
+        const baseline = top + (lineHeight - fontSize) / 2 + fontSize * 0.8;
+        top += lineHeight;
+
+        const content = segments
+            .map((segment) => {
+                // Sketch draws text without a color in black
+                const { color, opacity } = svgColor(
+                    hexToSketchColor(
+                        getEffectiveTextColor(style, segment) || "#000000",
+                    ),
+                );
+                return `<tspan font-family="${escapeXml(segment.fontFamily || "sans-serif")}"${segment.fontSize ? ` font-size="${segment.fontSize}"` : ""} font-weight="${segment.weight}"${segment.italic ? ` font-style="italic"` : ""}${segment.letterSpacing ? ` letter-spacing="${segment.letterSpacing}"` : ""} fill="${color}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ""}>${escapeXml(segment.text)}</tspan>`;
+            })
+            .join("");
+
+        return `<tspan x="${formatSvgNumber(x)}" y="${formatSvgNumber(baseline)}">${content}</tspan>`;
+    });
+
+    return `<text text-anchor="${anchor}" xml:space="preserve">${tspans.join("")}</text>`;
 }
 
-// Helper function to find a node with metadata
-function findNodeWithMetadata(obj, nodeId) {
-    const node = findNodeById(obj, nodeId);
-    if (!node) return null;
-    return node;
+// Helper function to render an embedded bitmap layer
+function renderSvgBitmap(layer, ctx) {
+    const href = layer.image
+        ? getAssetDataUri(ctx.sketchDocument, layer.image._ref)
+        : null;
+    if (!href) return "";
+
+    return `<image width="${formatSvgNumber(layer.frame.width)}" height="${formatSvgNumber(layer.frame.height)}" preserveAspectRatio="none" xlink:href="${href}"/>`;
 }
 
-// Helper function to enrich node data with context
-function enrichNodeData(node) {
-    // Add additional context like parent information, styling, etc.
-    return {
-        node: node,
-        type: node._class,
-        metadata: {
-            id: node.do_objectID,
-            name: node.name,
-            class: node._class,
-        },
-    };
+// Helper function to inline an embedded asset as a data URI
+function getAssetDataUri(sketchDocument, ref) {
+    const asset = sketchDocument.getAsset(ref);
+    if (!asset) return null;
+
+    return `data:${detectContentType(asset, ref)};base64,${asset.toString("base64")}`;
 }
 
-// Function to get information about selected elements
-async function getSketchSelection(url, selectionIds) {
-    try {
-        // Get the full document data
-        const documentData = await getSketchFile(url);
+// Helper function to turn a normalized hex color back into channels
+function hexToSketchColor(hex) {
+    if (!hex) return null;
 
-        // Find the selected nodes
-        const selectedNodes = [];
+    const value = hex.replace("#", "");
+    const channel = (offset) => parseInt(value.substr(offset, 2), 16) / 255;
 
-        for (const id of selectionIds) {
-            // Search for the node in the document
-            const node = findNodeById(documentData, id);
+    return {
+        red: channel(0),
+        green: channel(2),
+        blue: channel(4),
+        alpha: value.length === 8 ? channel(6) : 1,
+    };
+}
 
-            if (node) {
-                // Enrich the node with additional context
-                selectedNodes.push(enrichNodeData(node));
-            }
-        }
+// Helper function to format numbers compactly for SVG output
+function formatSvgNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
 
-        // Return the selection data
-        return {
-            url: url,
-            selectionCount: selectedNodes.length,
-            selectedNodes: selectedNodes,
-            missingIds: selectionIds.filter(
-                (id) => !selectedNodes.some((node) => node.metadata.id === id),
-            ),
-        };
-    } catch (error) {
-        console.error("Error getting selection:", error);
-        throw error;
-    }
+// Helper function to escape text for XML content and attributes
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
 }
 
 // Graceful shutdown handling
@@ -1422,6 +8441,9 @@ function shutdown() {
     // Stop health monitoring
     healthMonitor.stop();
 
+    // Release cached documents and their file watchers
+    documentCache.close();
+
     // Close all WebSocket connections
     clients.forEach((ws) => {
         if (ws.readyState === WebSocket.OPEN) {
@@ -1442,36 +8464,70 @@ function shutdown() {
     }, 5000);
 }
 
-// Start the server
-try {
-    httpServer.listen(config.port, () => {
-        // Start health monitoring
-        healthMonitor.start();
+// Run a one-off command instead of starting the server
+async function runExportTokensCommand() {
+    // Keep stdout clean for the tokens themselves
+    logger.level = LOG_LEVELS.ERROR;
 
-        const serverInfo = {
-            version: require("./package.json").version,
-            port: config.port,
-            logLevel: config.logLevel,
-            maxFileSize: `${Math.round(config.maxFileSize / 1024 / 1024)}MB`,
-            hasApiKey: !!config.sketchApiKey,
-            hasLocalFile: !!config.localFilePath,
-            endpoints: {
-                info: `http://localhost:${config.port}`,
-                health: `http://localhost:${config.port}/health`,
-                validate: `http://localhost:${config.port}/validate`,
-                sse: `http://localhost:${config.port}/sse`,
-                messages: `http://localhost:${config.port}/messages`,
-                websocket: `ws://localhost:${config.port}`,
-            },
-        };
+    try {
+        const result = await exportSketchTokens(path.resolve(argv.file), {
+            format: argv.format,
+            outputPath: argv.output,
+        });
 
-        logger.info(
-            "Sketch Context MCP Server started successfully",
-            serverInfo,
-        );
+        if (result.outputPath) {
+            console.error(
+                `Wrote ${result.tokenCount} tokens to ${result.outputPath}`,
+            );
+        } else {
+            process.stdout.write(result.content);
+        }
+        process.exitCode = 0;
+    } catch (error) {
+        console.error(`Failed to export tokens: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        documentCache.close();
+    }
+}
+
+if (argv._[0] === "export-tokens") {
+    runExportTokensCommand();
+} else {
+    startServer();
+}
+
+// Start the server
+function startServer() {
+    try {
+        httpServer.listen(config.port, () => {
+            // Start health monitoring
+            healthMonitor.start();
+
+            const serverInfo = {
+                version: require("./package.json").version,
+                port: config.port,
+                logLevel: config.logLevel,
+                maxFileSize: `${Math.round(config.maxFileSize / 1024 / 1024)}MB`,
+                hasApiKey: !!config.sketchApiKey,
+                hasLocalFile: !!config.localFilePath,
+                endpoints: {
+                    info: `http://localhost:${config.port}`,
+                    health: `http://localhost:${config.port}/health`,
+                    validate: `http://localhost:${config.port}/validate`,
+                    sse: `http://localhost:${config.port}/sse`,
+                    messages: `http://localhost:${config.port}/messages`,
+                    websocket: `ws://localhost:${config.port}`,
+                },
+            };
+
+            logger.info(
+                "Sketch Context MCP Server started successfully",
+                serverInfo,
+            );
 
-        // Display startup information
-        console.log(`
+            // Display startup information
+            console.log(`
 ┌─────────────────────────────────────────────────────────────────┐
 │  Sketch Context MCP Server v${require("./package.json").version}                           │
 ├─────────────────────────────────────────────────────────────────┤
@@ -1498,19 +8554,20 @@ Setup Instructions:
 
 Press Ctrl+C to stop the server.
     `);
-    });
+        });
 
-    httpServer.on("error", (error) => {
-        if (error.code === "EADDRINUSE") {
-            logger.error(
-                `Port ${config.port} is already in use. Please choose a different port.`,
-            );
-        } else {
-            logger.error("Server error", { error: error.message });
-        }
+        httpServer.on("error", (error) => {
+            if (error.code === "EADDRINUSE") {
+                logger.error(
+                    `Port ${config.port} is already in use. Please choose a different port.`,
+                );
+            } else {
+                logger.error("Server error", { error: error.message });
+            }
+            process.exit(1);
+        });
+    } catch (error) {
+        logger.error("Failed to start server", { error: error.message });
         process.exit(1);
-    });
-} catch (error) {
-    logger.error("Failed to start server", { error: error.message });
-    process.exit(1);
+    }
 }